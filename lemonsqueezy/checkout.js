@@ -0,0 +1,201 @@
+/**
+ * Validates the body of /create-checkout-session and turns it into a LemonSqueezy checkout.
+ *
+ * Accepted fields (only variant_id is required):
+ * - variant_id: an active variant of the local variant collection
+ * - quantity: a whole number from 1 to MAX_QUANTITY, 1 by default
+ * - organisation_id: buy a team plan on behalf of an organisation the user is an admin of; the
+ *   quantity then defaults to, and can't be lower than, the organisation's number of members
+ * - custom_price: a price in cents; users can only raise the variant price, admins can set any price
+ * - discount_code: a LemonSqueezy discount code applied to the checkout
+ * - redirect_url: an http(s) URL the customer is sent to after the purchase
+ * - expires_at: an ISO 8601 date in the future after which the checkout link stops working
+ * - embed, dark, media, logo, desc, discount, subscription_preview: checkout_options flags
+ * - button_color: a hex color such as "#7047EB"
+ * - preview: include the price preview in the response, true by default
+ * - custom: extra string, number or boolean values passed to the webhooks as custom data
+ *
+ *   const requestBody = require(`${__hooks}/lemonsqueezy/checkout.js`).build(userRecord, info.body, storeId);
+ */
+
+const MAX_QUANTITY = 1000;
+const MAX_CUSTOM_FIELDS = 20;
+const CHECKOUT_FLAGS = ["embed", "dark", "media", "logo", "desc", "discount", "subscription_preview"];
+
+function isBlank(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function isAdmin(user) {
+    return user.collection().name === "_superusers" || user.getString("role") === "Admin";
+}
+
+/**
+ * Returns the validated options, or throws a BadRequestError whose data holds one
+ * `{ code, message }` entry per invalid field, like PocketBase's own validation errors.
+ */
+function validate(user, body) {
+    const errors = {};
+    const fail = (field, message) => {
+        errors[field] = { "code": "validation_invalid_value", "message": message };
+    };
+
+    let variant = null;
+    if (isBlank(body.variant_id)) {
+        fail("variant_id", "Missing variant_id.");
+    } else {
+        const found = $app.findRecordsByFilter("variant", "variant_id = {:id} && active = true", "", 1, 0, { "id": String(body.variant_id) });
+        variant = found.length > 0 ? found[0] : null;
+        if (!variant) {
+            fail("variant_id", "Unknown or inactive variant.");
+        }
+    }
+
+    let organisation = null;
+    let minQuantity = 1;
+    if (!isBlank(body.organisation_id)) {
+        const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+        organisation = organisations.find(String(body.organisation_id));
+        if (!organisation || !organisations.isAdmin(organisation, user.id)) {
+            fail("organisation_id", "Unknown organisation or you're not one of its admins.");
+            organisation = null;
+        } else {
+            minQuantity = Math.max(organisations.memberIds(organisation).length, 1);
+        }
+    }
+
+    const quantity = isBlank(body.quantity) ? minQuantity : Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < minQuantity || quantity > MAX_QUANTITY) {
+        fail("quantity", `Must be a whole number from ${minQuantity} to ${MAX_QUANTITY}.`);
+    }
+
+    const customPrice = isBlank(body.custom_price) ? null : Number(body.custom_price);
+    if (customPrice !== null) {
+        if (!Number.isInteger(customPrice) || customPrice < 0) {
+            fail("custom_price", "Must be a whole number of cents.");
+        } else if (variant && !isAdmin(user) && customPrice < variant.getInt("unit_amount")) {
+            fail("custom_price", "Can't be lower than the variant price.");
+        }
+    }
+
+    const discounts = require(`${__hooks}/lemonsqueezy/discounts.js`);
+    if (!isBlank(body.discount_code) && !discounts.isCode(body.discount_code)) {
+        fail("discount_code", discounts.CODE_MESSAGE);
+    }
+
+    if (!isBlank(body.redirect_url) && !/^https?:\/\/[^\s]+$/.test(String(body.redirect_url))) {
+        fail("redirect_url", "Must be an http or https URL.");
+    }
+
+    let expiresAt = null;
+    if (!isBlank(body.expires_at)) {
+        const time = Date.parse(String(body.expires_at));
+        if (isNaN(time)) {
+            fail("expires_at", "Must be an ISO 8601 date.");
+        } else if (time <= Date.now()) {
+            fail("expires_at", "Must be in the future.");
+        } else {
+            expiresAt = new Date(time).toISOString();
+        }
+    }
+
+    CHECKOUT_FLAGS.concat(["preview"]).forEach((flag) => {
+        if (!isBlank(body[flag]) && typeof body[flag] !== "boolean") {
+            fail(flag, "Must be true or false.");
+        }
+    });
+
+    if (!isBlank(body.button_color) && !/^#[0-9A-Fa-f]{6}$/.test(String(body.button_color))) {
+        fail("button_color", "Must be a hex color such as #7047EB.");
+    }
+
+    const custom = body.custom || {};
+    if (typeof custom !== "object" || Array.isArray(custom)) {
+        fail("custom", "Must be an object.");
+    } else if (Object.keys(custom).length > MAX_CUSTOM_FIELDS) {
+        fail("custom", `Can't hold more than ${MAX_CUSTOM_FIELDS} values.`);
+    } else if (Object.values(custom).some((value) => !["string", "number", "boolean"].includes(typeof value))) {
+        fail("custom", "Values must be strings, numbers or booleans.");
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new BadRequestError("Invalid checkout options.", errors);
+    }
+
+    return { variant, organisation, quantity, customPrice, expiresAt, custom };
+}
+
+/**
+ * Validates the body and returns the JSON:API body of a POST /v1/checkouts request for the user.
+ */
+function build(user, body, storeId) {
+    body = body || {};
+    const options = validate(user, body);
+
+    const checkoutOptions = {};
+    CHECKOUT_FLAGS.forEach((flag) => {
+        if (!isBlank(body[flag])) {
+            checkoutOptions[flag] = body[flag];
+        }
+    });
+    if (!isBlank(body.button_color)) {
+        checkoutOptions["button_color"] = body.button_color;
+    }
+
+    const checkoutData = {
+        "name": user.getString("displayName"),
+        "email": user.getString("email"),
+        // user_id and organisation_id link the purchase, so they can't be set by the request.
+        "custom": Object.assign({}, options.custom, {
+            "user_id": user.id,
+            "organisation_id": options.organisation ? options.organisation.id : ""
+        }),
+        "variant_quantities": [
+            { "variant_id": Number(options.variant.getString("variant_id")), "quantity": options.quantity }
+        ]
+    };
+    if (!isBlank(body.discount_code)) {
+        checkoutData["discount_code"] = String(body.discount_code);
+    }
+
+    const attributes = {
+        "checkout_options": checkoutOptions,
+        "checkout_data": checkoutData,
+        "preview": isBlank(body.preview) ? true : body.preview
+    };
+    if (options.customPrice !== null) {
+        attributes["custom_price"] = options.customPrice;
+    }
+    if (!isBlank(body.redirect_url)) {
+        attributes["product_options"] = { "redirect_url": String(body.redirect_url) };
+    }
+    if (options.expiresAt) {
+        attributes["expires_at"] = options.expiresAt;
+    }
+
+    return {
+        "data": {
+            "type": "checkouts",
+            "attributes": attributes,
+            "relationships": {
+                "variant": {
+                    "data": {
+                        "type": "variants",
+                        "id": options.variant.getString("variant_id")
+                    }
+                },
+                "store": {
+                    "data": {
+                        "type": "stores",
+                        // A variant synchronized from another store is sold by that store.
+                        "id": options.variant.getString("store_id") || storeId
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    build
+};
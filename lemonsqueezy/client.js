@@ -0,0 +1,231 @@
+/**
+ * A small client for the LemonSqueezy JSON:API shared by every route, hook and cron job.
+ *
+ * - Sends the JSON:API headers and the API key from lemonsqueezy/config.js: the key of the store
+ *   passed as `createClient({ storeId, testMode })`, or of the default store.
+ * - Follows `links.next` so list() returns every page, not only the first one.
+ * - Waits for `Retry-After` when LemonSqueezy answers with 429 and tries again.
+ * - Retries network errors and 5xx responses with an exponential backoff. POST requests are
+ *   only retried on 429, because a failed create may still have gone through.
+ * - Throws a LemonSqueezyError subclass describing what went wrong.
+ * - Sends form data instead of JSON:API for the License API (`options.form`).
+ *
+ *   const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient();
+ *   const subscriptions = client.list("/v1/subscriptions");
+ */
+
+const BASE_URL = "https://api.lemonsqueezy.com";
+const TIMEOUT = 120; // seconds
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF = 500; // milliseconds
+const MAX_RETRY_AFTER = 60; // seconds
+const PAGE_SIZE = 100; // the largest page LemonSqueezy allows
+
+class LemonSqueezyError extends Error {
+    constructor(message, status, errors) {
+        super(message);
+        this.name = "LemonSqueezyError";
+        this.status = status || 0;
+        this.errors = errors || [];
+        // LemonSqueezy's own explanation, without the URL and status of `message`.
+        this.detail = "";
+    }
+}
+
+class LemonSqueezyNetworkError extends LemonSqueezyError {
+    constructor(message) {
+        super(message, 0);
+        this.name = "LemonSqueezyNetworkError";
+    }
+}
+
+class LemonSqueezyAuthError extends LemonSqueezyError {
+    constructor(message, status, errors) {
+        super(message, status, errors);
+        this.name = "LemonSqueezyAuthError";
+    }
+}
+
+class LemonSqueezyNotFoundError extends LemonSqueezyError {
+    constructor(message, status, errors) {
+        super(message, status, errors);
+        this.name = "LemonSqueezyNotFoundError";
+    }
+}
+
+class LemonSqueezyValidationError extends LemonSqueezyError {
+    constructor(message, status, errors) {
+        super(message, status, errors);
+        this.name = "LemonSqueezyValidationError";
+    }
+}
+
+class LemonSqueezyRateLimitError extends LemonSqueezyError {
+    constructor(message, retryAfter) {
+        super(message, 429);
+        this.name = "LemonSqueezyRateLimitError";
+        this.retryAfter = retryAfter;
+    }
+}
+
+class LemonSqueezyServerError extends LemonSqueezyError {
+    constructor(message, status, errors) {
+        super(message, status, errors);
+        this.name = "LemonSqueezyServerError";
+    }
+}
+
+function buildUrl(path, query) {
+    const url = path.startsWith("http") ? path : BASE_URL + path;
+    const params = Object.keys(query || {})
+        .filter((key) => query[key] !== undefined && query[key] !== null && query[key] !== "")
+        .map((key) => `${key}=${encodeURIComponent(query[key])}`);
+    if (params.length === 0) {
+        return url;
+    }
+    return url + (url.includes("?") ? "&" : "?") + params.join("&");
+}
+
+function encodeForm(form) {
+    return Object.keys(form)
+        .filter((key) => form[key] !== undefined && form[key] !== null)
+        .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(form[key])}`)
+        .join("&");
+}
+
+function header(res, name) {
+    const value = res.headers ? res.headers[name] : undefined;
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// Retry-After is sent in seconds; fall back to the backoff when it's missing or unreadable.
+function retryAfterSeconds(res, attempt) {
+    const seconds = parseInt(header(res, "Retry-After"), 10);
+    if (isNaN(seconds) || seconds < 0) {
+        return Math.ceil(backoff(attempt) / 1000);
+    }
+    return Math.min(seconds, MAX_RETRY_AFTER);
+}
+
+function backoff(attempt) {
+    return BASE_BACKOFF * Math.pow(2, attempt - 1);
+}
+
+function errorFromResponse(method, url, res, attempt) {
+    const errors = res.json?.errors || [];
+    // The License API answers with a single `error` string instead of JSON:API errors.
+    const detail = errors.map((error) => error.detail || error.title).filter(Boolean).join("; ") || res.json?.error || "";
+    const message = `LemonSqueezy ${method} ${url} failed with status ${res.statusCode}` + (detail ? `: ${detail}` : "");
+
+    let error;
+    if (res.statusCode === 401 || res.statusCode === 403) {
+        error = new LemonSqueezyAuthError(message, res.statusCode, errors);
+    } else if (res.statusCode === 404) {
+        error = new LemonSqueezyNotFoundError(message, res.statusCode, errors);
+    } else if (res.statusCode === 400 || res.statusCode === 422) {
+        error = new LemonSqueezyValidationError(message, res.statusCode, errors);
+    } else if (res.statusCode === 429) {
+        error = new LemonSqueezyRateLimitError(message, retryAfterSeconds(res, attempt));
+    } else if (res.statusCode >= 500) {
+        error = new LemonSqueezyServerError(message, res.statusCode, errors);
+    } else {
+        error = new LemonSqueezyError(message, res.statusCode, errors);
+    }
+    error.detail = detail;
+    return error;
+}
+
+/**
+ * Creates a client for the given API key; without one the key from lemonsqueezy/config.js is used.
+ */
+function createClient(options) {
+    // Without an explicit key, the key of the record's store (or of the default store) is used.
+    const apiKey = options?.apiKey || require(`${__hooks}/lemonsqueezy/config.js`).findStore(options?.storeId, options?.testMode).apiKey;
+
+    function request(method, path, options) {
+        const url = buildUrl(path, options?.query);
+        const retryTransient = method !== "POST";
+        const contentType = options?.form ? "application/x-www-form-urlencoded" : "application/vnd.api+json";
+        const body = options?.form ? encodeForm(options.form) : (options?.body ? JSON.stringify(options.body) : "");
+
+        for (let attempt = 1; ; attempt++) {
+            let res;
+            try {
+                res = $http.send({
+                    url: url,
+                    method: method,
+                    headers: {
+                        "Accept": options?.form ? "application/json" : "application/vnd.api+json",
+                        "Content-Type": contentType,
+                        "Authorization": `Bearer ${apiKey}`
+                    },
+                    body: body,
+                    timeout: TIMEOUT
+                });
+            } catch (err) {
+                if (retryTransient && attempt < MAX_ATTEMPTS) {
+                    sleep(backoff(attempt));
+                    continue;
+                }
+                throw new LemonSqueezyNetworkError(`LemonSqueezy ${method} ${url} failed: ${err.message || err}`);
+            }
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                return res.json;
+            }
+
+            if (res.statusCode === 429 && attempt < MAX_ATTEMPTS) {
+                const seconds = retryAfterSeconds(res, attempt);
+                $app.logger().warn("LemonSqueezy rate limit reached", "url", url, "retryAfter", seconds);
+                sleep(seconds * 1000);
+                continue;
+            }
+
+            if (res.statusCode >= 500 && retryTransient && attempt < MAX_ATTEMPTS) {
+                sleep(backoff(attempt));
+                continue;
+            }
+
+            throw errorFromResponse(method, url, res, attempt);
+        }
+    }
+
+    /**
+     * Fetches every page of a list endpoint and returns the combined `data` and `included` arrays.
+     */
+    function list(path, query) {
+        const data = [];
+        const included = [];
+
+        let next = buildUrl(path, Object.assign({ "page[size]": PAGE_SIZE }, query));
+        while (next) {
+            const page = request("GET", next);
+            data.push(...(page?.data || []));
+            included.push(...(page?.included || []));
+            next = page?.links?.next || "";
+        }
+
+        return { data, included };
+    }
+
+    return {
+        request,
+        list,
+        get: (path, query) => request("GET", path, { query }),
+        post: (path, body) => request("POST", path, { body }),
+        patch: (path, body) => request("PATCH", path, { body }),
+        delete: (path) => request("DELETE", path),
+        postForm: (path, form) => request("POST", path, { form })
+    };
+}
+
+module.exports = {
+    createClient,
+    LemonSqueezyError,
+    LemonSqueezyNetworkError,
+    LemonSqueezyAuthError,
+    LemonSqueezyNotFoundError,
+    LemonSqueezyValidationError,
+    LemonSqueezyRateLimitError,
+    LemonSqueezyServerError
+};
@@ -0,0 +1,262 @@
+/**
+ * Loads the LemonSqueezy configuration shared by every route, hook and cron job.
+ *
+ * Values are read from the environment variables below. A superuser can override any of them
+ * by filling in the single record of the lemonsqueezy_settings collection (superuser-only):
+ * non-empty fields of that record win over the environment.
+ *
+ * - LEMONSQUEEZY_API_KEY        -> api_key
+ * - LEMONSQUEEZY_WEBHOOK_SECRET -> webhook_secret
+ * - LEMONSQUEEZY_STORE_ID       -> store_id
+ * - LEMONSQUEEZY_STORES         -> stores (JSON list of stores, replaces the three values above, see below)
+ * - LEMONSQUEEZY_SYNC_ENABLED    -> sync_enabled   ("true" runs the scheduled synchronization)
+ * - LEMONSQUEEZY_SYNC_SCHEDULE   -> sync_schedule  (cron expression, every 30 minutes by default; read at startup)
+ * - LEMONSQUEEZY_USAGE_SCHEDULE  -> usage_schedule (cron expression of the usage reporting, every 15 minutes by default;
+ *                                   read at startup)
+ * - LEMONSQUEEZY_GRACE_PERIOD_DAYS -> grace_period_days (days a past_due subscription keeps access, 7 by default)
+ * - LEMONSQUEEZY_GATED_COLLECTIONS -> gated_collections (collections that need a paid plan to be written,
+ *                                    e.g. "projects:exports,reports"; a ":feature" suffix requires that flag)
+ * - LEMONSQUEEZY_NOTIFICATIONS_ENABLED -> notifications_enabled ("true" sends the billing emails)
+ * - LEMONSQUEEZY_TRIAL_REMINDER_DAYS   -> trial_reminder_days (days before trial_end the reminder is sent, 3 by default)
+ * - LEMONSQUEEZY_OUTBOUND_WEBHOOK_URLS   -> outbound_webhook_urls (comma-separated URLs the billing events are posted to)
+ * - LEMONSQUEEZY_OUTBOUND_WEBHOOK_SECRET -> outbound_webhook_secret (signs the outbound webhooks, outbound delivery is skipped without it)
+ * - LEMONSQUEEZY_TEST_MODE_ENTITLEMENTS  -> test_mode_entitlements ("true" lets test-mode purchases grant entitlements)
+ *
+ * Several stores (e.g. staging and production) are configured as a JSON list:
+ *   [{ "store_id": "116661", "api_key": "...", "webhook_secret": "...", "test_mode": false }, ...]
+ * `test_mode` is optional: a store without it accepts live and test-mode webhooks, a store with it
+ * only the matching mode, so a store can have separate test and live entries with their own keys.
+ * The first store is the default one: `apiKey`, `webhookSecret` and `storeId` hold its values.
+ * Without a list, the single store of LEMONSQUEEZY_API_KEY, _WEBHOOK_SECRET and _STORE_ID is used.
+ *
+ * The merged configuration is cached in the app store, so the settings record is only read
+ * once; main.pb.js clears the cache whenever that record changes. Every value except the two
+ * cron schedules is read when it's used, so changes apply without a restart.
+ *
+ * The hooks refuse to start while a credential is missing (assertConfigured()), so set them in
+ * the environment or in a settings record created beforehand. A settings record that loses a
+ * value while PocketBase runs doesn't take it down: the billing routes answer 503
+ * (requireConfigured()) and the LemonSqueezy cron jobs skip their runs (isConfigured()).
+ *
+ *   const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+ */
+
+const CACHE_KEY = "lemonsqueezy.config";
+const SETTINGS_COLLECTION = "lemonsqueezy_settings";
+const DEFAULT_SYNC_SCHEDULE = "*/30 * * * *";
+const DEFAULT_USAGE_SCHEDULE = "*/15 * * * *";
+const DEFAULT_GRACE_PERIOD_DAYS = 7;
+const DEFAULT_TRIAL_REMINDER_DAYS = 3;
+
+// The values shipped in the README and in earlier versions of the hooks.
+const PLACEHOLDERS = [
+    "your_api_key_here",
+    "your_lemonsqueezy_signing_secret_here",
+    "your_store_id"
+];
+
+// PocketBase < 0.23 exposes the record queries through $app.dao().
+function dao() {
+    return typeof $app.dao === "function" ? $app.dao() : $app;
+}
+
+function findSettingsRecord() {
+    try {
+        return dao().findFirstRecordByFilter(SETTINGS_COLLECTION, "id != ''");
+    } catch (err) {
+        // The collection hasn't been imported yet or holds no record.
+        return null;
+    }
+}
+
+function pick(record, field, envName) {
+    const override = record ? record.getString(field).trim() : "";
+    return override || ($os.getenv(envName) || "").trim();
+}
+
+function pickBool(record, field, envName) {
+    if (record && record.getBool(field)) {
+        return true;
+    }
+    return ["1", "true", "yes"].includes(($os.getenv(envName) || "").trim().toLowerCase());
+}
+
+// Returns the number from the settings record or the environment, or null when neither holds one.
+function pickNumber(record, field, envName) {
+    if (record && record.getFloat(field) > 0) {
+        return record.getFloat(field);
+    }
+    const value = parseFloat(($os.getenv(envName) || "").trim());
+    return isNaN(value) ? null : value;
+}
+
+// Parses the JSON list of stores, or returns [] when it's empty or invalid.
+function parseStores(value) {
+    if (!value || value === "null") {
+        return [];
+    }
+    let stores;
+    try {
+        stores = JSON.parse(value);
+    } catch (err) {
+        $app.logger().error("Invalid LemonSqueezy store list, expected a JSON array", "error", err.message);
+        return [];
+    }
+    return (Array.isArray(stores) ? stores : []).map((store) => ({
+        "id": String(store?.store_id || ""),
+        "apiKey": String(store?.api_key || ""),
+        "webhookSecret": String(store?.webhook_secret || ""),
+        "testMode": typeof store?.test_mode === "boolean" ? store.test_mode : null
+    }));
+}
+
+// Parses "projects:exports,reports" into { "projects": "exports", "reports": "" }.
+function parseGatedCollections(value) {
+    return value.split(",").reduce((gated, entry) => {
+        const [collection, feature] = entry.split(":").map((part) => part.trim());
+        if (collection) {
+            gated[collection] = feature || "";
+        }
+        return gated;
+    }, {});
+}
+
+function load() {
+    const cached = $app.store().get(CACHE_KEY);
+    if (cached) {
+        return JSON.parse(cached);
+    }
+
+    const record = findSettingsRecord();
+    const listedStores = parseStores(pick(record, "stores", "LEMONSQUEEZY_STORES"));
+    const stores = listedStores.length > 0 ? listedStores : [{
+        "id": pick(record, "store_id", "LEMONSQUEEZY_STORE_ID"),
+        "apiKey": pick(record, "api_key", "LEMONSQUEEZY_API_KEY"),
+        "webhookSecret": pick(record, "webhook_secret", "LEMONSQUEEZY_WEBHOOK_SECRET"),
+        "testMode": null
+    }];
+
+    const config = {
+        "stores": stores,
+        "storeList": listedStores.length > 0,
+        "apiKey": stores[0].apiKey,
+        "webhookSecret": stores[0].webhookSecret,
+        "storeId": stores[0].id,
+        "syncEnabled": pickBool(record, "sync_enabled", "LEMONSQUEEZY_SYNC_ENABLED"),
+        "syncSchedule": pick(record, "sync_schedule", "LEMONSQUEEZY_SYNC_SCHEDULE") || DEFAULT_SYNC_SCHEDULE,
+        "usageSchedule": pick(record, "usage_schedule", "LEMONSQUEEZY_USAGE_SCHEDULE") || DEFAULT_USAGE_SCHEDULE,
+        "gracePeriodDays": pickNumber(record, "grace_period_days", "LEMONSQUEEZY_GRACE_PERIOD_DAYS") ?? DEFAULT_GRACE_PERIOD_DAYS,
+        "gatedCollections": parseGatedCollections(pick(record, "gated_collections", "LEMONSQUEEZY_GATED_COLLECTIONS")),
+        "notificationsEnabled": pickBool(record, "notifications_enabled", "LEMONSQUEEZY_NOTIFICATIONS_ENABLED"),
+        "trialReminderDays": pickNumber(record, "trial_reminder_days", "LEMONSQUEEZY_TRIAL_REMINDER_DAYS") ?? DEFAULT_TRIAL_REMINDER_DAYS,
+        "outboundWebhookUrls": pick(record, "outbound_webhook_urls", "LEMONSQUEEZY_OUTBOUND_WEBHOOK_URLS")
+            .split(",").map((url) => url.trim()).filter((url) => url),
+        "outboundWebhookSecret": pick(record, "outbound_webhook_secret", "LEMONSQUEEZY_OUTBOUND_WEBHOOK_SECRET"),
+        "testModeEntitlements": pickBool(record, "test_mode_entitlements", "LEMONSQUEEZY_TEST_MODE_ENTITLEMENTS")
+    };
+
+    $app.store().set(CACHE_KEY, JSON.stringify(config));
+    return config;
+}
+
+function clearCache() {
+    $app.store().remove(CACHE_KEY);
+}
+
+function isMissing(value) {
+    return !value || PLACEHOLDERS.includes(value);
+}
+
+function acceptsMode(store, testMode) {
+    return store.testMode === null || testMode === undefined || testMode === null || store.testMode === Boolean(testMode);
+}
+
+/**
+ * Returns the stores a webhook or record of `storeId` in `testMode` may belong to. Either value
+ * may be empty to match any store or mode.
+ */
+function findStores(storeId, testMode) {
+    return load().stores.filter((store) => (!storeId || store.id === String(storeId)) && acceptsMode(store, testMode));
+}
+
+/**
+ * Returns the store of a record (`storeId`, `testMode`), or the default store when the record
+ * has no store yet or its store isn't configured.
+ */
+function findStore(storeId, testMode) {
+    return findStores(storeId, testMode)[0] || load().stores[0];
+}
+
+/**
+ * Returns what is wrong with the configuration, or "" when every required value is set and
+ * none of them still holds a placeholder.
+ */
+function configurationError() {
+    const config = load();
+    const missing = [];
+    config.stores.forEach((store, index) => {
+        // Name the fields of the list entry when the stores come from LEMONSQUEEZY_STORES.
+        const name = (variable, field) => (config.storeList ? `LEMONSQUEEZY_STORES[${index}].${field}` : variable);
+        if (isMissing(store.apiKey)) {
+            missing.push(name("LEMONSQUEEZY_API_KEY", "api_key"));
+        }
+        if (isMissing(store.webhookSecret)) {
+            missing.push(name("LEMONSQUEEZY_WEBHOOK_SECRET", "webhook_secret"));
+        }
+        if (isMissing(store.id)) {
+            missing.push(name("LEMONSQUEEZY_STORE_ID", "store_id"));
+        }
+    });
+    if (missing.length > 0) {
+        // Don't keep a broken configuration around once it's been fixed in the settings record.
+        clearCache();
+        return `LemonSqueezy is not configured: set ${missing.join(", ")} ` +
+            `or fill in the matching fields of the ${SETTINGS_COLLECTION} collection.`;
+    }
+    return "";
+}
+
+/**
+ * Throws when a required value is missing or still holds a placeholder, so a misconfigured
+ * server refuses to start instead of failing on the first webhook or checkout.
+ */
+function assertConfigured() {
+    const error = configurationError();
+    if (error) {
+        throw new Error(error);
+    }
+}
+
+/**
+ * Throws a 503 ApiError while the configuration is incomplete. The missing values are logged
+ * instead of being returned to the caller.
+ */
+function requireConfigured() {
+    const error = configurationError();
+    if (error) {
+        $app.logger().error(error);
+        throw new ApiError(503, "Billing is not configured yet, try again later.");
+    }
+}
+
+/**
+ * Returns whether the configuration is complete, and logs why `task` is skipped when it isn't.
+ */
+function isConfigured(task) {
+    const error = configurationError();
+    if (error) {
+        $app.logger().warn(`Skipped ${task}`, "error", error);
+    }
+    return !error;
+}
+
+module.exports = {
+    load,
+    clearCache,
+    findStores,
+    findStore,
+    configurationError,
+    assertConfigured,
+    requireConfigured,
+    isConfigured
+};
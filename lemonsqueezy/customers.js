@@ -0,0 +1,169 @@
+/**
+ * Links PocketBase users to LemonSqueezy customers without creating duplicates.
+ *
+ * ensureCustomer() runs once per user at a time (a per-user lock in the app store), verifies a
+ * stored customer id against the API, reuses a LemonSqueezy customer with the user's email and
+ * only creates a customer when none exists. syncUser() copies name and email changes of the
+ * user record to the linked customers.
+ *
+ * With several stores (see lemonsqueezy/config.js), a user gets one customer per store: every
+ * customer record keeps its store_id, and each store is called with its own API key.
+ *
+ *   const customerId = require(`${__hooks}/lemonsqueezy/customers.js`).ensureCustomer(userRecord, store);
+ */
+
+const LOCK_PREFIX = "customer.";
+// A lock older than this belongs to a request that died without releasing it.
+const LOCK_TIMEOUT = 30; // seconds
+const LOCK_WAIT = 200; // milliseconds between attempts
+
+// Waits for the user's lock and returns its token. Gives up with a 409 after LOCK_TIMEOUT.
+function acquireLock(userId) {
+    const lock = require(`${__hooks}/lemonsqueezy/lock.js`);
+    const giveUpAt = Date.now() + LOCK_TIMEOUT * 1000;
+
+    let token = lock.acquire(LOCK_PREFIX + userId, LOCK_TIMEOUT);
+    while (!token) {
+        if (Date.now() > giveUpAt) {
+            throw new ApiError(409, "Another request is already setting up the customer, try again.");
+        }
+        sleep(LOCK_WAIT);
+        token = lock.acquire(LOCK_PREFIX + userId, LOCK_TIMEOUT);
+    }
+    return token;
+}
+
+function releaseLock(userId, token) {
+    require(`${__hooks}/lemonsqueezy/lock.js`).release(LOCK_PREFIX + userId, token);
+}
+
+function customerAttributes(user) {
+    return {
+        "name": user.getString("displayName"),
+        "email": user.getString("email")
+    };
+}
+
+/**
+ * Returns true when the customer still exists in the configured store.
+ */
+function verify(client, customerId, storeId) {
+    const lemonsqueezy = require(`${__hooks}/lemonsqueezy/client.js`);
+    try {
+        const customer = client.get(`/v1/customers/${customerId}`);
+        return String(customer.data.attributes.store_id) === String(storeId);
+    } catch (err) {
+        if (err instanceof lemonsqueezy.LemonSqueezyNotFoundError) {
+            return false;
+        }
+        throw err;
+    }
+}
+
+function findByEmail(client, email, storeId) {
+    if (!email) {
+        return "";
+    }
+    const found = client.list("/v1/customers", { "filter[store_id]": storeId, "filter[email]": email }).data;
+    return found.length > 0 ? String(found[0].id) : "";
+}
+
+function createRemote(client, user, storeId) {
+    const customer = client.post("/v1/customers", {
+        "data": {
+            "type": "customers",
+            "attributes": customerAttributes(user),
+            "relationships": {
+                "store": {
+                    "data": {
+                        "type": "stores",
+                        "id": storeId
+                    }
+                }
+            }
+        }
+    });
+    return String(customer.data.id);
+}
+
+function link(user, customerId, existing, store) {
+    const record = existing || new Record($app.findCollectionByNameOrId("customer"));
+    record.load({
+        "lemonsqueezy_customer_id": customerId,
+        "user_id": user.id,
+        "store_id": store.id,
+        "test_mode": store.testMode === true
+    });
+    $app.save(record);
+}
+
+/**
+ * Returns the LemonSqueezy customer id of the user in `store` (a store of lemonsqueezy/config.js,
+ * the default store when omitted). A stored id is verified first and replaced when the customer
+ * no longer exists; then a customer with the user's email is reused; only then a new customer
+ * is created.
+ */
+function ensureCustomer(user, store) {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`);
+    store = store || config.findStore();
+    const storeId = store.id;
+    const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient({ "apiKey": store.apiKey });
+    const token = acquireLock(user.id);
+
+    try {
+        // Customers stored before the store was recorded have no store_id; they belong to the default store.
+        const filter = storeId === config.load().storeId
+            ? "user_id = {:user} && (store_id = {:store} || store_id = '')"
+            : "user_id = {:user} && store_id = {:store}";
+        const existing = $app.findRecordsByFilter("customer", filter, "-store_id,-created", 1, 0, { "user": user.id, "store": storeId });
+        const stored = existing.length > 0 ? existing[0] : null;
+
+        if (stored && verify(client, stored.getString("lemonsqueezy_customer_id"), storeId)) {
+            return stored.getString("lemonsqueezy_customer_id");
+        }
+        if (stored) {
+            $app.logger().warn("Replacing a stale LemonSqueezy customer", "user", user.id, "customer", stored.getString("lemonsqueezy_customer_id"));
+        }
+
+        const customerId = findByEmail(client, user.getString("email"), storeId) || createRemote(client, user, storeId);
+
+        // The customer may already be stored, e.g. by the webhook of a purchase made before sign-up.
+        const known = $app.findRecordsByFilter("customer", "lemonsqueezy_customer_id = {:customer}", "", 1, 0, { "customer": customerId });
+        const record = known.length > 0 ? known[0] : stored;
+        if (stored && record.id !== stored.id) {
+            $app.delete(stored);
+        }
+        link(user, customerId, record, store);
+
+        return customerId;
+    } finally {
+        releaseLock(user.id, token);
+    }
+}
+
+/**
+ * Copies the user's name and email to every LemonSqueezy customer linked to the user.
+ */
+function syncUser(user) {
+    const lemonsqueezy = require(`${__hooks}/lemonsqueezy/client.js`);
+    $app.findRecordsByFilter("customer", "user_id = {:user}", "", 0, 0, { "user": user.id }).forEach((customer) => {
+        const customerId = customer.getString("lemonsqueezy_customer_id");
+        try {
+            const client = lemonsqueezy.createClient({ "storeId": customer.getString("store_id"), "testMode": customer.getBool("test_mode") });
+            client.patch(`/v1/customers/${customerId}`, {
+                "data": {
+                    "type": "customers",
+                    "id": customerId,
+                    "attributes": customerAttributes(user)
+                }
+            });
+        } catch (err) {
+            $app.logger().error("Error updating LemonSqueezy customer:", err, "customer", customerId);
+        }
+    });
+}
+
+module.exports = {
+    ensureCustomer,
+    syncUser
+};
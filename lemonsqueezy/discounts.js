@@ -0,0 +1,164 @@
+/**
+ * Checks a discount code against the synchronized discount collection and previews the
+ * discounted price of a variant, so the frontend can show it before the checkout applies the code.
+ *
+ * A code is valid when its discount is published, has started and hasn't expired, and, for
+ * discounts limited to products, covers the variant. Redemption limits aren't known locally;
+ * LemonSqueezy enforces them when the checkout is paid.
+ *
+ *   const result = require(`${__hooks}/lemonsqueezy/discounts.js`).validate(e.requestInfo().body);
+ */
+
+const MAX_QUANTITY = 1000;
+const CODE_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+const CODE_MESSAGE = "Must only contain letters, numbers, dashes and underscores.";
+
+function isBlank(value) {
+    return value === undefined || value === null || value === "";
+}
+
+/**
+ * Returns whether `value` looks like a discount code. Shared with lemonsqueezy/checkout.js, so
+ * a code is accepted by both the check and the checkout.
+ */
+function isCode(value) {
+    return !isBlank(value) && CODE_PATTERN.test(String(value));
+}
+
+function variantIds(discount) {
+    try {
+        const ids = JSON.parse(discount.getString("variant_ids") || "[]");
+        return Array.isArray(ids) ? ids.map(String) : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+// Returns why the discount can't be used for the variant right now, or "" when it can.
+function rejection(discount, variant) {
+    const now = Date.now();
+    const startsAt = discount.getDateTime("starts_at");
+    const expiresAt = discount.getDateTime("expires_at");
+
+    if (!discount.getBool("active")) {
+        return "The discount code is not active.";
+    }
+    if (!startsAt.isZero() && startsAt.unix() * 1000 > now) {
+        return "The discount code can't be used yet.";
+    }
+    if (!expiresAt.isZero() && expiresAt.unix() * 1000 <= now) {
+        return "The discount code has expired.";
+    }
+    if (discount.getBool("is_limited_to_products") &&
+        !variantIds(discount).includes(variant.getString("variant_id"))) {
+        return "The discount code doesn't apply to this product.";
+    }
+    return "";
+}
+
+/**
+ * Returns the discount amount in cents for a subtotal in cents. Fixed discounts are never
+ * larger than the subtotal.
+ */
+function discountAmount(discount, subtotal) {
+    if (discount.getString("amount_type") === "percent") {
+        return Math.round(subtotal * discount.getInt("amount") / 100);
+    }
+    return Math.min(discount.getInt("amount"), subtotal);
+}
+
+/**
+ * Validates `code` for `variant_id` (and an optional `quantity`, 1 by default). Throws a
+ * BadRequestError for a malformed body; an unknown or unusable code comes back as
+ * `valid: false` with the reason in `error`.
+ */
+function validate(body) {
+    body = body || {};
+    const errors = {};
+
+    if (!isCode(body.code)) {
+        errors["code"] = { "code": "validation_invalid_value", "message": CODE_MESSAGE };
+    }
+
+    let variant = null;
+    if (isBlank(body.variant_id)) {
+        errors["variant_id"] = { "code": "validation_required", "message": "Cannot be blank." };
+    } else {
+        const found = $app.findRecordsByFilter("variant", "variant_id = {:id} && active = true", "", 1, 0, { "id": String(body.variant_id) });
+        variant = found.length > 0 ? found[0] : null;
+        if (!variant) {
+            errors["variant_id"] = { "code": "validation_invalid_value", "message": "Unknown or inactive variant." };
+        }
+    }
+
+    const quantity = isBlank(body.quantity) ? 1 : Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        errors["quantity"] = { "code": "validation_invalid_value", "message": `Must be a whole number from 1 to ${MAX_QUANTITY}.` };
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new BadRequestError("Invalid discount check.", errors);
+    }
+
+    // LemonSqueezy discount codes are upper case.
+    const code = String(body.code).toUpperCase();
+    const pricing = require(`${__hooks}/lemonsqueezy/pricing.js`);
+    const currency = variant.getString("currency");
+    const subtotal = variant.getInt("unit_amount") * quantity;
+
+    const result = {
+        "valid": false,
+        "error": null,
+        "code": code,
+        "discount": null,
+        "variant_id": variant.getString("variant_id"),
+        "quantity": quantity,
+        "currency": currency,
+        "subtotal": subtotal,
+        "discount_total": 0,
+        "total": subtotal,
+        "formatted_subtotal": pricing.formatPrice(subtotal, currency),
+        "formatted_discount_total": pricing.formatPrice(0, currency),
+        "formatted_total": pricing.formatPrice(subtotal, currency)
+    };
+
+    // Codes are unique per store, so only the discounts of the variant's store are considered.
+    const storeId = variant.getString("store_id");
+    const found = $app.findRecordsByFilter(
+        "discount",
+        storeId ? "code = {:code} && (store_id = {:store} || store_id = '')" : "code = {:code}",
+        "-active", 1, 0,
+        { "code": code, "store": storeId }
+    );
+    const discount = found.length > 0 ? found[0] : null;
+    if (!discount) {
+        result.error = "Unknown discount code.";
+        return result;
+    }
+
+    result.error = rejection(discount, variant) || null;
+    result.discount = {
+        "name": discount.getString("name"),
+        "amount": discount.getInt("amount"),
+        "amount_type": discount.getString("amount_type"),
+        "duration": discount.getString("duration"),
+        "duration_in_months": discount.getInt("duration_in_months")
+    };
+    if (result.error) {
+        return result;
+    }
+
+    const discountTotal = discountAmount(discount, subtotal);
+    result.valid = true;
+    result.discount_total = discountTotal;
+    result.total = subtotal - discountTotal;
+    result.formatted_discount_total = pricing.formatPrice(discountTotal, currency);
+    result.formatted_total = pricing.formatPrice(subtotal - discountTotal, currency);
+    return result;
+}
+
+module.exports = {
+    CODE_MESSAGE,
+    isCode,
+    validate
+};
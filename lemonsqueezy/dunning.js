@@ -0,0 +1,157 @@
+/**
+ * Dunning: what happens to a subscription between a failed payment and its recovery or downgrade.
+ *
+ * The subscription record tracks the current dunning cycle:
+ * - payment_failed_at: the first failed payment of the cycle
+ * - failed_payments: the number of failed payments in the cycle
+ * - grace_ends_at: payment_failed_at plus `gracePeriodDays` (lemonsqueezy/config.js)
+ * - dunning_stage: "in_grace_period" while the user keeps the entitlements, "grace_expired"
+ *   once the grace period is over but LemonSqueezy still retries, and "downgraded" when the
+ *   subscription became unpaid or expired during the cycle
+ * - downgraded_at: when the subscription was downgraded
+ * A successful payment or an active subscription ends the cycle and clears the fields.
+ *
+ * The webhook and the synchronization update the cycle as they store subscriptions and payment
+ * events (lemonsqueezy/records.js), and checkGracePeriods() runs as an hourly cron job, so an
+ * expired grace period removes the entitlements without waiting for the next webhook.
+ *
+ *   require(`${__hooks}/lemonsqueezy/dunning.js`).checkGracePeriods();
+ */
+
+const DAY = 24 * 60 * 60;
+
+const CLEARED = {
+    "payment_failed_at": "",
+    "failed_payments": 0,
+    "grace_ends_at": "",
+    "dunning_stage": "",
+    "downgraded_at": ""
+};
+
+function seconds(record, field) {
+    if (!record) {
+        return 0;
+    }
+    const value = record.getDateTime(field);
+    return value.isZero() ? 0 : value.unix();
+}
+
+function isoString(unixSeconds) {
+    return new Date(unixSeconds * 1000).toISOString();
+}
+
+/**
+ * Returns when the grace period of a cycle that started at `failedAt` (unix seconds) ends.
+ */
+function graceEndsAt(failedAt, gracePeriodDays) {
+    return failedAt + gracePeriodDays * DAY;
+}
+
+function graceFields(failedAt, failedPayments, now) {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const endsAt = graceEndsAt(failedAt, config.gracePeriodDays);
+    return {
+        "payment_failed_at": isoString(failedAt),
+        "failed_payments": failedPayments,
+        "grace_ends_at": isoString(endsAt),
+        "dunning_stage": endsAt > now ? "in_grace_period" : "grace_expired",
+        "downgraded_at": ""
+    };
+}
+
+/**
+ * Returns the dunning fields of a subscription that is stored with `status`. `existing` is the
+ * stored record (or null) and `changedAt` the unix seconds of the change, used as the start of
+ * a cycle that only became visible through the status.
+ */
+function forStatus(existing, status, changedAt) {
+    const now = Math.floor(Date.now() / 1000);
+    const failedAt = seconds(existing, "payment_failed_at");
+
+    switch (status) {
+        case "active":
+        case "on_trial":
+            return Object.assign({}, CLEARED);
+        case "past_due":
+            return graceFields(failedAt || changedAt || now, Math.max(existing ? existing.getInt("failed_payments") : 0, 1), now);
+        case "unpaid":
+        case "expired": {
+            // An expiry without a failed payment is a regular end, not a downgrade.
+            if (status === "expired" && !failedAt) {
+                return {};
+            }
+            const downgradedAt = seconds(existing, "downgraded_at") || changedAt || now;
+            return {
+                "dunning_stage": "downgraded",
+                "downgraded_at": isoString(downgradedAt)
+            };
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Returns the dunning fields after a payment event of the subscription.
+ */
+function forPayment(subscription, eventName, paidAt) {
+    if (eventName !== "subscription_payment_failed") {
+        return Object.assign({}, CLEARED);
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const failedAt = seconds(subscription, "payment_failed_at") || paidAt || now;
+    return graceFields(failedAt, subscription.getInt("failed_payments") + 1, now);
+}
+
+/**
+ * Moves the subscriptions whose grace period ended to "grace_expired", refreshes their users
+ * and returns the number of subscriptions moved. Grace periods are recomputed with the current
+ * `gracePeriodDays`, so a changed setting applies to running cycles as well.
+ */
+function checkGracePeriods() {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`);
+    const now = Math.floor(Date.now() / 1000);
+    let expired = 0;
+
+    $app.findRecordsByFilter("subscription", "dunning_stage = 'in_grace_period'", "", 0, 0).forEach((subscription) => {
+        try {
+            const endsAt = graceEndsAt(seconds(subscription, "payment_failed_at"), config.gracePeriodDays);
+            if (endsAt > now) {
+                if (endsAt !== seconds(subscription, "grace_ends_at")) {
+                    subscription.set("grace_ends_at", isoString(endsAt));
+                    $app.save(subscription);
+                }
+                return;
+            }
+
+            subscription.load({
+                "grace_ends_at": isoString(endsAt),
+                "dunning_stage": "grace_expired"
+            });
+            $app.save(subscription);
+            expired++;
+
+            if (subscription.getString("user_id")) {
+                entitlements.refreshUser(subscription.getString("user_id"));
+            }
+            if (subscription.getString("organisation_id")) {
+                entitlements.refreshOrganisation(subscription.getString("organisation_id"));
+            }
+        } catch (err) {
+            $app.logger().error("Error checking grace period:", err, "subscription", subscription.getString("subscription_id"));
+        }
+    });
+
+    if (expired > 0) {
+        $app.logger().info("Ended grace periods", "lemonsqueezy", "subscriptions", expired);
+    }
+    return expired;
+}
+
+module.exports = {
+    graceEndsAt,
+    forStatus,
+    forPayment,
+    checkGracePeriods
+};
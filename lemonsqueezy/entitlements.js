@@ -0,0 +1,348 @@
+/**
+ * Works out what a PocketBase user can access right now from the stored subscriptions and orders.
+ *
+ * A subscription grants access while it is:
+ * - "active" or "on_trial"
+ * - "cancelled", until its period ends (cancel_at)
+ * - "past_due", for `gracePeriodDays` (lemonsqueezy/config.js) after the first failed payment
+ *   of the dunning cycle (see lemonsqueezy/dunning.js)
+ * "unpaid" and "expired" subscriptions never grant access, so the user is downgraded as soon as
+ * LemonSqueezy gives up on the payment.
+ * Subscriptions flagged as orphaned by the synchronization never grant access. A paid order that
+ * wasn't refunded (`active: true`) grants lifetime access to its variant. Members and admins of an
+ * organisation inherit the subscriptions attached to it (see lemonsqueezy/organisations.js).
+ * Test-mode subscriptions and orders are ignored unless `testModeEntitlements` is set, so test
+ * purchases made against a live server never unlock anything.
+ *
+ * Feature flags are read from the `features` key of `product.metadata` and `variant.metadata`.
+ * It can hold a list of flag names (`["exports", "api"]`) or an object of flags and limits
+ * (`{ "exports": true, "projects": 10 }`); variant flags override product flags.
+ *
+ * The result is also denormalised onto the user record (`plan`, `subscription_status` and
+ * `entitlements`) by refreshUser(), so API rules can check it without joining other collections.
+ *
+ *   const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`).forUser(e.auth.id);
+ */
+
+// When a user has several subscriptions, subscription_status shows the first status of this list.
+const STATUS_PRIORITY = ["active", "on_trial", "past_due", "paused", "cancelled", "unpaid", "expired"];
+
+function findByField(collection, field, value) {
+    if (!value) {
+        return null;
+    }
+    const found = $app.findRecordsByFilter(collection, `${field} = {:value}`, "", 1, 0, { "value": String(value) });
+    return found.length > 0 ? found[0] : null;
+}
+
+// Returns the date as unix seconds, or 0 when it's empty.
+function seconds(record, field) {
+    const value = record.getDateTime(field);
+    return value.isZero() ? 0 : value.unix();
+}
+
+function isoString(unixSeconds) {
+    return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function readFeatures(record) {
+    if (!record) {
+        return {};
+    }
+
+    let metadata;
+    try {
+        metadata = JSON.parse(record.getString("metadata") || "{}");
+    } catch (err) {
+        return {};
+    }
+
+    const features = metadata?.features;
+    if (Array.isArray(features)) {
+        return features.reduce((flags, name) => Object.assign(flags, { [name]: true }), {});
+    }
+    return features && typeof features === "object" ? features : {};
+}
+
+// Merges the flags of two active plans: a flag granted by either plan stays granted and
+// numeric limits take the higher value.
+function mergeFeatures(features, other) {
+    Object.keys(other).forEach((name) => {
+        const current = features[name];
+        const value = other[name];
+        if (typeof current === "number" && typeof value === "number") {
+            features[name] = Math.max(current, value);
+        } else if (!current || value) {
+            features[name] = value;
+        }
+    });
+    return features;
+}
+
+/**
+ * Returns the subscriptions linked to the user, either directly through user_id, through
+ * one of the user's customer records or through an organisation the user belongs to.
+ */
+function findSubscriptions(userId) {
+    const subscriptions = $app.findRecordsByFilter("subscription", "user_id = {:user}", "-created", 0, 0, { "user": userId });
+    const seen = new Set(subscriptions.map((record) => record.id));
+
+    $app.findRecordsByFilter("customer", "user_id = {:user}", "", 0, 0, { "user": userId }).forEach((customer) => {
+        const customerId = customer.getString("lemonsqueezy_customer_id");
+        if (!customerId) {
+            return;
+        }
+        $app.findRecordsByFilter("subscription", "lemonsqueezy_customer_id = {:customer}", "-created", 0, 0, { "customer": customerId })
+            .filter((record) => !seen.has(record.id))
+            .forEach((record) => {
+                seen.add(record.id);
+                subscriptions.push(record);
+            });
+    });
+
+    require(`${__hooks}/lemonsqueezy/organisations.js`).findForUser(userId).forEach((organisation) => {
+        $app.findRecordsByFilter("subscription", "organisation_id = {:organisation}", "-created", 0, 0, { "organisation": organisation.id })
+            .filter((record) => !seen.has(record.id))
+            .forEach((record) => {
+                seen.add(record.id);
+                subscriptions.push(record);
+            });
+    });
+
+    return subscriptions;
+}
+
+/**
+ * Returns false for test-mode subscriptions and orders, unless they may grant access.
+ */
+function countsForAccess(record, config) {
+    return config.testModeEntitlements || !record.getBool("test_mode");
+}
+
+/**
+ * Returns `{ active, inGracePeriod, expiresAt }` for the subscription at `now` (unix seconds).
+ * expiresAt is the moment access ends unless LemonSqueezy renews or recovers the subscription.
+ */
+function subscriptionAccess(subscription, now, gracePeriodDays) {
+    if (subscription.getBool("orphaned")) {
+        return { "active": false, "inGracePeriod": false, "expiresAt": 0 };
+    }
+
+    const periodEnd = seconds(subscription, "current_period_end");
+    switch (subscription.getString("status")) {
+        case "active":
+            return { "active": true, "inGracePeriod": false, "expiresAt": seconds(subscription, "cancel_at") || periodEnd };
+        case "on_trial":
+            return { "active": true, "inGracePeriod": false, "expiresAt": seconds(subscription, "trial_end") || periodEnd };
+        case "cancelled": {
+            const endsAt = seconds(subscription, "cancel_at") || periodEnd;
+            return { "active": endsAt > now, "inGracePeriod": false, "expiresAt": endsAt };
+        }
+        case "past_due": {
+            // Without a recorded failed payment, the failed renewal happened at the end of the paid period.
+            const failedAt = seconds(subscription, "payment_failed_at") || periodEnd || seconds(subscription, "lemonsqueezy_updated_at");
+            const graceEndsAt = require(`${__hooks}/lemonsqueezy/dunning.js`).graceEndsAt(failedAt, gracePeriodDays);
+            return { "active": graceEndsAt > now, "inGracePeriod": graceEndsAt > now, "expiresAt": graceEndsAt };
+        }
+        default:
+            return { "active": false, "inGracePeriod": false, "expiresAt": 0 };
+    }
+}
+
+function describePlan(source, record, variantId, quantity, access) {
+    const variant = findByField("variant", "variant_id", variantId);
+    const product = findByField("product", "product_id", variant ? variant.getString("product_id") : record.getString("product_id"));
+
+    return {
+        "source": source,
+        "id": record.getString(source === "subscription" ? "subscription_id" : "order_id"),
+        "status": record.getString("status"),
+        "organisation_id": source === "subscription" ? record.getString("organisation_id") : "",
+        "product_id": product ? product.getString("product_id") : "",
+        "product_name": product ? product.getString("name") : "",
+        "variant_id": variantId,
+        "quantity": quantity,
+        "in_grace_period": access.inGracePeriod,
+        "dunning_stage": source === "subscription" ? record.getString("dunning_stage") : "",
+        "expires_at": isoString(access.expiresAt),
+        "features": Object.assign({}, readFeatures(product), readFeatures(variant))
+    };
+}
+
+/**
+ * Returns what the user can access right now:
+ * - active: whether any plan grants access
+ * - plans: the subscriptions and orders that grant access, with their product, variant,
+ *   quantity, expiry and feature flags
+ * - features: the feature flags of all active plans merged together
+ * - quantity: the seats of all active plans added up
+ * - in_grace_period: whether a plan only grants access because of its grace period
+ * - expires_at: when the last plan ends, or null when a plan never expires
+ */
+function forUser(userId) {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const now = Math.floor(Date.now() / 1000);
+    const plans = [];
+
+    findSubscriptions(userId).filter((subscription) => countsForAccess(subscription, config)).forEach((subscription) => {
+        const access = subscriptionAccess(subscription, now, config.gracePeriodDays);
+        if (access.active) {
+            plans.push(describePlan("subscription", subscription, subscription.getString("variant_id"), subscription.getInt("quantity"), access));
+        }
+    });
+
+    $app.findRecordsByFilter("order", "user_id = {:user} && active = true", "-created", 0, 0, { "user": userId })
+        .filter((order) => countsForAccess(order, config))
+        .forEach((order) => {
+            const access = { "active": true, "inGracePeriod": false, "expiresAt": 0 };
+            plans.push(describePlan("order", order, order.getString("variant_id"), order.getInt("quantity"), access));
+        });
+
+    const lifetime = plans.some((plan) => !plan.expires_at);
+    const expiresAt = plans.reduce((latest, plan) => (plan.expires_at && plan.expires_at > latest ? plan.expires_at : latest), "");
+
+    return {
+        "user_id": userId,
+        "active": plans.length > 0,
+        "plans": plans,
+        "features": plans.reduce((features, plan) => mergeFeatures(features, plan.features), {}),
+        "quantity": plans.reduce((total, plan) => total + plan.quantity, 0),
+        "in_grace_period": plans.some((plan) => plan.in_grace_period),
+        "expires_at": plans.length === 0 || lifetime ? null : expiresAt
+    };
+}
+
+/**
+ * Returns the status of the user's most relevant subscription, or "" when there is none.
+ */
+function subscriptionStatus(userId) {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const statuses = findSubscriptions(userId)
+        .filter((subscription) => !subscription.getBool("orphaned") && countsForAccess(subscription, config))
+        .map((subscription) => subscription.getString("status"));
+
+    const known = STATUS_PRIORITY.find((status) => statuses.includes(status));
+    return known || statuses[0] || "";
+}
+
+/**
+ * Writes the user's current plan, subscription status and entitlements onto the user record,
+ * and returns the record (null when the user doesn't exist). The record is only saved when
+ * one of the values changed.
+ */
+function refreshUser(userId) {
+    if (!userId) {
+        return null;
+    }
+
+    let user;
+    try {
+        user = $app.findRecordById("user", userId);
+    } catch (err) {
+        return null;
+    }
+
+    const entitlements = forUser(userId);
+    const data = {
+        "plan": entitlements.plans.length > 0 ? entitlements.plans[0].product_name : "",
+        "subscription_status": subscriptionStatus(userId),
+        "entitlements": JSON.stringify({
+            "active": entitlements.active,
+            "features": entitlements.features,
+            "quantity": entitlements.quantity,
+            "in_grace_period": entitlements.in_grace_period,
+            "expires_at": entitlements.expires_at
+        })
+    };
+
+    const changed = user.getString("plan") !== data.plan ||
+        user.getString("subscription_status") !== data.subscription_status ||
+        user.getString("entitlements") !== data.entitlements;
+    if (changed) {
+        user.load(data);
+        $app.save(user);
+    }
+    return user;
+}
+
+/**
+ * Refreshes every member and admin of the organisation.
+ */
+function refreshOrganisation(organisationId) {
+    const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+    const organisation = organisations.find(organisationId);
+    if (organisation) {
+        organisations.memberIds(organisation).forEach((userId) => refreshUser(userId));
+    }
+}
+
+/**
+ * Refreshes the users of cancelled subscriptions whose period ended within the last `hours`,
+ * so they lose access on time even when LemonSqueezy's expiry webhook comes late. Returns the
+ * number of users refreshed.
+ */
+function refreshEndedSubscriptions(hours) {
+    const toFilterDate = (time) => new Date(time).toISOString().replace("T", " ");
+    const now = Date.now();
+    const ended = $app.findRecordsByFilter(
+        "subscription",
+        "status = 'cancelled' && cancel_at > {:since} && cancel_at <= {:now}",
+        "", 0, 0,
+        { "since": toFilterDate(now - hours * 60 * 60 * 1000), "now": toFilterDate(now) }
+    );
+    return refreshUsers(
+        ended.map((subscription) => subscription.getString("user_id")).filter((userId) => userId),
+        ended.map((subscription) => subscription.getString("organisation_id")).filter((organisationId) => organisationId)
+    );
+}
+
+/**
+ * Refreshes the given users and the members of the given organisations once each, and returns
+ * the number of users refreshed.
+ */
+function refreshUsers(userIds, organisationIds) {
+    const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+    const refreshed = new Set(userIds);
+    organisationIds.forEach((organisationId) => {
+        const organisation = organisations.find(organisationId);
+        if (organisation) {
+            organisations.memberIds(organisation).forEach((userId) => refreshed.add(userId));
+        }
+    });
+    refreshed.forEach((userId) => refreshUser(userId));
+    return refreshed.size;
+}
+
+/**
+ * Throws a ForbiddenError unless the request's auth may write to the collection: for a gated
+ * collection the user needs an active plan and, when the collection is configured with a
+ * feature, that feature flag. Other collections and superusers are never blocked.
+ */
+function assertCanWrite(e) {
+    const gatedCollections = require(`${__hooks}/lemonsqueezy/config.js`).load().gatedCollections;
+    if (e.hasSuperuserAuth() || !Object.prototype.hasOwnProperty.call(gatedCollections, e.collection.name)) {
+        return;
+    }
+
+    const feature = gatedCollections[e.collection.name];
+    const entitlements = e.auth && e.auth.collection().name === "user" ? forUser(e.auth.id) : null;
+    if (!entitlements || !entitlements.active) {
+        throw new ForbiddenError("A paid plan is required to change this collection.");
+    }
+    if (feature && !entitlements.features[feature]) {
+        throw new ForbiddenError(`Your plan doesn't include ${feature}.`);
+    }
+}
+
+module.exports = {
+    forUser,
+    findSubscriptions,
+    countsForAccess,
+    subscriptionAccess,
+    subscriptionStatus,
+    refreshUser,
+    refreshOrganisation,
+    refreshUsers,
+    refreshEndedSubscriptions,
+    assertCanWrite
+};
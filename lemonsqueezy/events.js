@@ -0,0 +1,121 @@
+/**
+ * High-level billing events for other hook files, so they don't have to diff subscription saves.
+ *
+ * lemonsqueezy/records.js emits them whenever the webhook, a synchronization or a subscription
+ * route stores a change:
+ * - subscription.started: a running subscription is stored for the first time
+ * - subscription.plan_changed: the subscription moved to another variant
+ * - subscription.cancelled: the subscription was cancelled and ends with the current period
+ * - subscription.expired: the subscription ended
+ * - subscription.payment_failed: a subscription payment failed
+ * - order.refunded: an order was refunded
+ *
+ * Every event is `{ id, type, created_at, user_id, organisation_id, data, previous }`, where
+ * `data` is the stored record (subscription, subscription_invoice or order) and `previous` the
+ * record before the change, or null.
+ *
+ * Handlers don't share variables (see main.pb.js), so listeners can't be closures: a listener
+ * is a function exported by a module, registered by path in the app store. Register them at the
+ * top level of a hook file; "*" receives every event:
+ *   require(`${__hooks}/lemonsqueezy/events.js`).on("subscription.cancelled", `${__hooks}/billing-listeners.js`, "onCancelled");
+ *
+ * Listeners run synchronously after the change was saved. A listener that throws is logged and
+ * doesn't stop the others or the webhook. When outbound webhooks are configured, every event is
+ * also queued for delivery (see lemonsqueezy/outbound.js).
+ */
+
+const LISTENERS_KEY = "lemonsqueezy.events.listeners";
+
+const EVENT_TYPES = [
+    "subscription.started",
+    "subscription.plan_changed",
+    "subscription.cancelled",
+    "subscription.expired",
+    "subscription.payment_failed",
+    "order.refunded"
+];
+
+function readListeners() {
+    const stored = $app.store().get(LISTENERS_KEY);
+    return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Registers the function `handler` exported by the module at `path` for `type` (or "*").
+ * Registering the same listener twice has no effect.
+ */
+function on(type, path, handler) {
+    if (type !== "*" && !EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown billing event "${type}", expected one of ${EVENT_TYPES.join(", ")} or "*".`);
+    }
+    const listener = { "path": path, "handler": handler || "default" };
+
+    const listeners = readListeners();
+    const registered = listeners[type] || [];
+    if (!registered.some((existing) => existing.path === listener.path && existing.handler === listener.handler)) {
+        listeners[type] = registered.concat([listener]);
+        $app.store().set(LISTENERS_KEY, JSON.stringify(listeners));
+    }
+}
+
+function off(type, path, handler) {
+    const listeners = readListeners();
+    listeners[type] = (listeners[type] || []).filter((existing) =>
+        existing.path !== path || existing.handler !== (handler || "default"));
+    $app.store().set(LISTENERS_KEY, JSON.stringify(listeners));
+}
+
+function exportRecord(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+function callListener(listener, event) {
+    try {
+        const listenerModule = require(listener.path);
+        const fn = listener.handler === "default" && typeof listenerModule === "function"
+            ? listenerModule
+            : listenerModule[listener.handler];
+        if (typeof fn !== "function") {
+            throw new Error(`${listener.path} doesn't export a function named "${listener.handler}"`);
+        }
+        fn(event);
+    } catch (err) {
+        $app.logger().error("Error in billing event listener:", err, "event", event.type, "listener", listener.path);
+    }
+}
+
+/**
+ * Builds the event for the record, calls its listeners and queues it for the outbound webhooks.
+ * Returns the event.
+ */
+function emit(type, record, previous) {
+    const event = {
+        "id": $security.randomString(20),
+        "type": type,
+        "created_at": new Date().toISOString(),
+        "user_id": record.getString("user_id"),
+        // Invoices and orders have no organisation_id, so it's "" for them.
+        "organisation_id": record.getString("organisation_id"),
+        "data": exportRecord(record),
+        "previous": exportRecord(previous)
+    };
+
+    const listeners = readListeners();
+    (listeners[type] || []).concat(listeners["*"] || []).forEach((listener) => callListener(listener, event));
+
+    try {
+        require(`${__hooks}/lemonsqueezy/outbound.js`).enqueue(event);
+    } catch (err) {
+        $app.logger().error("Error queueing outbound billing event:", err, "event", type);
+    }
+
+    $app.logger().info("Emitted billing event", "lemonsqueezy", type, "id", event.id, "user_id", event.user_id);
+    return event;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    on,
+    off,
+    emit
+};
@@ -0,0 +1,111 @@
+/**
+ * Payment history: the subscription invoices and one-time orders of a user, newest first.
+ *
+ * Both collections are read with one UNION query, so the pages are stable across the two kinds.
+ * The order that started a subscription is left out, because the subscription's "initial"
+ * invoice already covers the same payment. Every item has a `type` ("invoice" or "order") and
+ * a `url` pointing at the LemonSqueezy invoice or receipt.
+ *
+ *   const page = require(`${__hooks}/lemonsqueezy/invoices.js`).list(e.auth.id, e.requestInfo().query);
+ */
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+const ITEMS_SQL = `
+    SELECT 'invoice' AS type, invoice_id AS id, subscription_id, '' AS order_number, billing_reason,
+        status, currency, subtotal, discount_total, tax, total, refunded, refunded_amount,
+        invoice_url AS url, lemonsqueezy_created_at AS created_at
+    FROM subscription_invoice
+    WHERE user_id = {:user}
+    UNION ALL
+    SELECT 'order' AS type, order_id AS id, '' AS subscription_id, CAST(order_number AS TEXT) AS order_number,
+        'purchase' AS billing_reason, status, currency, subtotal, discount_total, tax, total, refunded,
+        refunded_amount, receipt_url AS url, lemonsqueezy_created_at AS created_at
+    FROM \`order\`
+    WHERE user_id = {:user}
+        AND order_id NOT IN (SELECT order_id FROM subscription WHERE order_id != '')
+`;
+
+function parsePositive(query, field, fallback, max) {
+    const raw = query?.[field];
+    if (raw === undefined || raw === null || raw === "") {
+        return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || (max && value > max)) {
+        throw new BadRequestError(`Invalid ${field}.`, {
+            [field]: { "code": "validation_invalid_value", "message": max ? `Must be a whole number from 1 to ${max}.` : "Must be a whole number of at least 1." }
+        });
+    }
+    return value;
+}
+
+function toItem(row) {
+    return {
+        "type": row.type,
+        "id": row.id,
+        "subscription_id": row.subscription_id,
+        "order_number": row.order_number,
+        "billing_reason": row.billing_reason,
+        "status": row.status,
+        "currency": row.currency,
+        "subtotal": row.subtotal,
+        "discount_total": row.discount_total,
+        "tax": row.tax,
+        "total": row.total,
+        "refunded": row.refunded,
+        "refunded_amount": row.refunded_amount,
+        "url": row.url,
+        "created_at": row.created_at
+    };
+}
+
+/**
+ * Returns one page of the user's invoices and orders in the shape of PocketBase's list
+ * responses: `{ page, perPage, totalItems, totalPages, items }`.
+ */
+function list(userId, query) {
+    const page = parsePositive(query, "page", 1, 0);
+    const perPage = parsePositive(query, "perPage", DEFAULT_PER_PAGE, MAX_PER_PAGE);
+
+    const total = new DynamicModel({ "count": 0 });
+    $app.db()
+        .newQuery(`SELECT COUNT(*) AS count FROM (${ITEMS_SQL})`)
+        .bind({ "user": userId })
+        .one(total);
+
+    const rows = arrayOf(new DynamicModel({
+        "type": "",
+        "id": "",
+        "subscription_id": "",
+        "order_number": "",
+        "billing_reason": "",
+        "status": "",
+        "currency": "",
+        "subtotal": 0,
+        "discount_total": 0,
+        "tax": 0,
+        "total": 0,
+        "refunded": false,
+        "refunded_amount": 0,
+        "url": "",
+        "created_at": ""
+    }));
+    $app.db()
+        .newQuery(`${ITEMS_SQL} ORDER BY created_at DESC, id DESC LIMIT {:limit} OFFSET {:offset}`)
+        .bind({ "user": userId, "limit": perPage, "offset": (page - 1) * perPage })
+        .all(rows);
+
+    return {
+        "page": page,
+        "perPage": perPage,
+        "totalItems": total.count,
+        "totalPages": Math.ceil(total.count / perPage),
+        "items": rows.map(toItem)
+    };
+}
+
+module.exports = {
+    list
+};
@@ -0,0 +1,264 @@
+/**
+ * Proxies the LemonSqueezy License API and caches its answers in the license_key and
+ * license_instance collections.
+ *
+ * Activation and deactivation need LemonSqueezy. Validation falls back to the cached state when
+ * LemonSqueezy can't be reached (network errors and 5xx responses): a key that is active, not
+ * expired and was validated successfully within the last CACHE_HOURS stays valid, so activation
+ * checks keep working during short outages. Cached answers carry `cached: true`.
+ *
+ * Test-mode keys never validate unless `testModeEntitlements` is set, like test-mode purchases
+ * never grant entitlements (lemonsqueezy/entitlements.js).
+ *
+ * A key linked to a user can only be used by that user, by users with role "Admin" or "Service"
+ * (e.g. a backend of the desktop app) and by superusers.
+ *
+ *   const result = require(`${__hooks}/lemonsqueezy/licenses.js`).validate(e.auth, body);
+ */
+
+const CACHE_HOURS = 72;
+const PRIVILEGED_ROLES = ["Admin", "Service"];
+
+function findOne(collection, field, value) {
+    if (!value) {
+        return null;
+    }
+    const found = $app.findRecordsByFilter(collection, `${field} = {:value}`, "", 1, 0, { "value": String(value) });
+    return found.length > 0 ? found[0] : null;
+}
+
+function requireField(body, field) {
+    const value = body?.[field];
+    if (!value || typeof value !== "string") {
+        throw new BadRequestError(`Missing ${field}.`, {
+            [field]: { "code": "validation_required", "message": "Cannot be blank." }
+        });
+    }
+    return value;
+}
+
+function assertCanUse(auth, licenseKey) {
+    if (!licenseKey || !licenseKey.getString("user_id")) {
+        return;
+    }
+    const privileged = auth.collection().name === "_superusers" || PRIVILEGED_ROLES.includes(auth.getString("role"));
+    if (!privileged && licenseKey.getString("user_id") !== auth.id) {
+        throw new ForbiddenError("This license key belongs to another user.");
+    }
+}
+
+function isOutage(err) {
+    const client = require(`${__hooks}/lemonsqueezy/client.js`);
+    return err instanceof client.LemonSqueezyNetworkError || err instanceof client.LemonSqueezyServerError;
+}
+
+/**
+ * Calls a License API action. A rejected key comes back as a normal answer, because the
+ * License API explains it in `error`; outages are rethrown.
+ */
+function call(action, form) {
+    const client = require(`${__hooks}/lemonsqueezy/client.js`);
+    try {
+        return client.createClient().postForm(`/v1/licenses/${action}`, form);
+    } catch (err) {
+        if (err instanceof client.LemonSqueezyValidationError || err instanceof client.LemonSqueezyNotFoundError) {
+            // Only LemonSqueezy's reason goes back to the caller; the message holds the API URL and status.
+            $app.logger().warn("License API rejected the request", "action", action, "error", err.message);
+            const error = err.detail || "The license key couldn't be checked.";
+            return { "activated": false, "deactivated": false, "valid": false, "error": error, "license_key": null, "instance": null, "meta": null };
+        }
+        throw err;
+    }
+}
+
+// Like call(), but answers 503 during an outage, because only LemonSqueezy can change activations.
+function callOrUnavailable(action, form) {
+    try {
+        return call(action, form);
+    } catch (err) {
+        if (isOutage(err)) {
+            $app.logger().error(`Error calling the LemonSqueezy License API (${action}):`, err);
+            throw new ApiError(503, "LemonSqueezy is unavailable, try again later.");
+        }
+        throw err;
+    }
+}
+
+// Stores the license key state returned by the License API.
+function storeLicenseKey(key, response) {
+    const licenseKey = response.license_key;
+    if (!licenseKey) {
+        return findOne("license_key", "key", key);
+    }
+
+    const record = findOne("license_key", "license_key_id", licenseKey.id) ||
+        new Record($app.findCollectionByNameOrId("license_key"));
+    record.load({
+        "license_key_id": String(licenseKey.id),
+        "key": licenseKey.key || key,
+        "status": licenseKey.status || "",
+        "activation_limit": licenseKey.activation_limit || 0,
+        "activation_usage": licenseKey.activation_usage || 0,
+        "expires_at": licenseKey.expires_at || "",
+        "test_mode": licenseKey.test_mode === true
+    });
+    if (response.meta) {
+        record.load({
+            "store_id": String(response.meta.store_id || record.getString("store_id")),
+            "order_id": String(response.meta.order_id || ""),
+            "order_item_id": String(response.meta.order_item_id || ""),
+            "product_id": String(response.meta.product_id || ""),
+            "lemonsqueezy_customer_id": String(response.meta.customer_id || ""),
+            "user_email": response.meta.customer_email || ""
+        });
+    }
+    if (!record.getString("user_id")) {
+        const records = require(`${__hooks}/lemonsqueezy/records.js`);
+        record.set("user_id", records.resolveUserId(record.getString("lemonsqueezy_customer_id"), record.getString("user_email"), null));
+    }
+    $app.save(record);
+    return record;
+}
+
+// Turns a valid answer for a test-mode key into a rejection, unless test-mode entitlements are enabled.
+function rejectTestMode(licenseKey, result) {
+    if (!result.valid || !licenseKey || !licenseKey.getBool("test_mode")) {
+        return result;
+    }
+    if (require(`${__hooks}/lemonsqueezy/config.js`).load().testModeEntitlements) {
+        return result;
+    }
+    return Object.assign({}, result, { "valid": false, "error": "Test-mode license keys aren't accepted." });
+}
+
+function storeInstance(licenseKey, instance, data) {
+    if (!licenseKey || !instance?.id) {
+        return null;
+    }
+    const record = findOne("license_instance", "instance_id", instance.id) ||
+        new Record($app.findCollectionByNameOrId("license_instance"));
+    record.load(Object.assign({
+        "license_key": licenseKey.id,
+        "instance_id": instance.id,
+        "name": instance.name || record.getString("name")
+    }, data));
+    $app.save(record);
+    return record;
+}
+
+/**
+ * Activates the key for a new instance (`license_key`, `instance_name`).
+ */
+function activate(auth, body) {
+    const key = requireField(body, "license_key");
+    const instanceName = requireField(body, "instance_name");
+    assertCanUse(auth, findOne("license_key", "key", key));
+
+    const response = callOrUnavailable("activate", { "license_key": key, "instance_name": instanceName });
+    const licenseKey = storeLicenseKey(key, response);
+    if (response.activated) {
+        storeInstance(licenseKey, response.instance, {
+            "active": true,
+            "activated_at": new Date().toISOString(),
+            "deactivated_at": "",
+            "last_validated_at": new Date().toISOString()
+        });
+    }
+    return Object.assign({ "cached": false }, response);
+}
+
+/**
+ * Validates the key (`license_key`), optionally for an instance (`instance_id`).
+ */
+function validate(auth, body) {
+    const key = requireField(body, "license_key");
+    const instanceId = body?.instance_id || "";
+    const stored = findOne("license_key", "key", key);
+    assertCanUse(auth, stored);
+
+    let response;
+    try {
+        response = call("validate", { "license_key": key, "instance_id": instanceId || null });
+    } catch (err) {
+        if (!isOutage(err)) {
+            throw err;
+        }
+        $app.logger().warn("LemonSqueezy License API unavailable, validating from cache", "error", err.message);
+        return rejectTestMode(stored, validateFromCache(stored, instanceId));
+    }
+
+    const licenseKey = storeLicenseKey(key, response);
+    if (licenseKey && response.valid) {
+        licenseKey.set("last_validated_at", new Date().toISOString());
+        $app.save(licenseKey);
+    }
+    if (instanceId && response.instance && response.valid) {
+        storeInstance(licenseKey, response.instance, {
+            "active": true,
+            "last_validated_at": new Date().toISOString()
+        });
+    }
+    return rejectTestMode(licenseKey, Object.assign({ "cached": false }, response));
+}
+
+function validateFromCache(licenseKey, instanceId) {
+    const result = { "cached": true, "valid": false, "error": null, "license_key": null, "instance": null };
+    if (!licenseKey) {
+        throw new ApiError(503, "LemonSqueezy is unavailable and the license key isn't cached yet.");
+    }
+
+    const now = Date.now();
+    const validatedAt = licenseKey.getDateTime("last_validated_at");
+    const expiresAt = licenseKey.getDateTime("expires_at");
+    const instance = instanceId ? findOne("license_instance", "instance_id", instanceId) : null;
+
+    result.license_key = {
+        "id": licenseKey.getString("license_key_id"),
+        "status": licenseKey.getString("status"),
+        "key": licenseKey.getString("key"),
+        "activation_limit": licenseKey.getInt("activation_limit"),
+        "activation_usage": licenseKey.getInt("activation_usage"),
+        "expires_at": expiresAt.isZero() ? null : expiresAt.string()
+    };
+    if (instance) {
+        result.instance = { "id": instance.getString("instance_id"), "name": instance.getString("name") };
+    }
+
+    if (licenseKey.getBool("disabled") || licenseKey.getString("status") !== "active") {
+        result.error = "The license key is not active.";
+    } else if (!expiresAt.isZero() && expiresAt.unix() * 1000 < now) {
+        result.error = "The license key has expired.";
+    } else if (validatedAt.isZero() || now - validatedAt.unix() * 1000 > CACHE_HOURS * 60 * 60 * 1000) {
+        result.error = "The license key wasn't validated recently enough to be trusted offline.";
+    } else if (instanceId && (!instance || !instance.getBool("active") || instance.getString("license_key") !== licenseKey.id)) {
+        result.error = "The instance is not active for this license key.";
+    } else {
+        result.valid = true;
+    }
+    return result;
+}
+
+/**
+ * Deactivates an instance (`license_key`, `instance_id`).
+ */
+function deactivate(auth, body) {
+    const key = requireField(body, "license_key");
+    const instanceId = requireField(body, "instance_id");
+    assertCanUse(auth, findOne("license_key", "key", key));
+
+    const response = callOrUnavailable("deactivate", { "license_key": key, "instance_id": instanceId });
+    const licenseKey = storeLicenseKey(key, response);
+    if (response.deactivated) {
+        storeInstance(licenseKey, { "id": instanceId }, {
+            "active": false,
+            "deactivated_at": new Date().toISOString()
+        });
+    }
+    return Object.assign({ "cached": false }, response);
+}
+
+module.exports = {
+    activate,
+    validate,
+    deactivate
+};
@@ -0,0 +1,49 @@
+/**
+ * Named locks kept in the app store, so a cron job or request doesn't run twice at the same time.
+ * A lock is held until it's released or until it's older than the timeout passed to acquire(),
+ * which means the run holding it died without releasing it.
+ *
+ *   const lock = require(`${__hooks}/lemonsqueezy/lock.js`);
+ *   const token = lock.acquire("sync", 60 * 60);
+ *   if (!token) { ... another run holds the lock ... }
+ *   try { ... } finally { lock.release("sync", token); }
+ */
+
+const KEY_PREFIX = "lemonsqueezy.lock.";
+
+/**
+ * Takes the lock `key` and returns its token, or returns "" when another run holds it. A lock
+ * older than `timeoutSeconds` is released and taken over.
+ */
+function acquire(key, timeoutSeconds) {
+    const storeKey = KEY_PREFIX + key;
+    const token = $security.randomString(16);
+    const store = $app.store();
+    const take = () => JSON.parse(store.getOrSet(storeKey, () => JSON.stringify({ token, "at": Date.now() })));
+
+    // getOrSet is atomic, so two runs starting at the same time can't both get the lock.
+    let holder = take();
+    if (holder.token !== token && Date.now() - holder.at > timeoutSeconds * 1000) {
+        $app.logger().warn("Released a stale LemonSqueezy lock", "key", key, "lockedAt", new Date(holder.at).toISOString());
+        store.remove(storeKey);
+        holder = take();
+    }
+
+    return holder.token === token ? token : "";
+}
+
+/**
+ * Releases the lock `key` if it's still held with `token`.
+ */
+function release(key, token) {
+    const storeKey = KEY_PREFIX + key;
+    const held = $app.store().get(storeKey);
+    if (held && JSON.parse(held).token === token) {
+        $app.store().remove(storeKey);
+    }
+}
+
+module.exports = {
+    acquire,
+    release
+};
@@ -0,0 +1,303 @@
+/**
+ * Billing emails sent through PocketBase's mailer ($app.newMailClient()):
+ * - welcome: a subscription was created
+ * - trial_ending: a trial ends within `trialReminderDays` (sent by the daily cron in main.pb.js)
+ * - payment_failed: a subscription payment failed
+ * - subscription_cancelled: a subscription was cancelled and ends with the current period
+ *
+ * Nothing is sent unless LEMONSQUEEZY_NOTIFICATIONS_ENABLED (or notifications_enabled) is set.
+ * The subject and body come from the email_template record with the same name, falling back to
+ * DEFAULT_TEMPLATES; a disabled template isn't sent. Both may use the placeholders `{{app_name}}`,
+ * `{{app_url}}`, `{{user_name}}`, `{{user_email}}`, `{{plan}}`, `{{subscription_id}}`,
+ * `{{trial_end}}`, `{{ends_at}}` and `{{amount}}`.
+ *
+ * Every email is recorded in email_notification under a key such as "welcome:<subscription id>",
+ * so retried webhooks and repeated cron runs never send the same email twice. Failed emails are
+ * recorded as "failed" with the placeholder values, and retryFailed() (run by the daily cron in
+ * main.pb.js) sends them again, up to MAX_ATTEMPTS attempts in total. Mail errors are logged
+ * and never fail the webhook.
+ *
+ *   require(`${__hooks}/lemonsqueezy/notifications.js`).sendTrialReminders();
+ */
+
+const MAX_ATTEMPTS = 3;
+
+const DEFAULT_TEMPLATES = {
+    "welcome": {
+        "subject": "Welcome to {{app_name}} {{plan}}",
+        "body": "<p>Hi {{user_name}},</p>" +
+            "<p>Thanks for subscribing to {{plan}}. Your subscription is active and ready to use.</p>" +
+            "<p><a href=\"{{app_url}}\">Open {{app_name}}</a></p>"
+    },
+    "trial_ending": {
+        "subject": "Your {{app_name}} trial ends on {{trial_end}}",
+        "body": "<p>Hi {{user_name}},</p>" +
+            "<p>Your {{plan}} trial ends on {{trial_end}}. After that, your subscription continues on the paid plan.</p>" +
+            "<p><a href=\"{{app_url}}\">Manage your subscription</a></p>"
+    },
+    "payment_failed": {
+        "subject": "We couldn't process your {{app_name}} payment",
+        "body": "<p>Hi {{user_name}},</p>" +
+            "<p>The payment of {{amount}} for your {{plan}} subscription failed. " +
+            "Please update your payment method to keep your access.</p>" +
+            "<p><a href=\"{{app_url}}\">Update your payment method</a></p>"
+    },
+    "subscription_cancelled": {
+        "subject": "Your {{app_name}} subscription has been cancelled",
+        "body": "<p>Hi {{user_name}},</p>" +
+            "<p>Your {{plan}} subscription has been cancelled. You keep access until {{ends_at}}.</p>" +
+            "<p><a href=\"{{app_url}}\">Resume your subscription</a></p>"
+    }
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function render(template, data, escape) {
+    return template.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, name) => {
+        const value = data[name] === undefined || data[name] === null ? "" : data[name];
+        return escape ? escapeHtml(value) : String(value);
+    });
+}
+
+// Returns the template to send, or null when it is disabled.
+function loadTemplate(name) {
+    const found = $app.findRecordsByFilter("email_template", "name = {:name}", "", 1, 0, { "name": name });
+    if (found.length === 0) {
+        return DEFAULT_TEMPLATES[name];
+    }
+    if (found[0].getBool("disabled")) {
+        return null;
+    }
+    return {
+        "subject": found[0].getString("subject") || DEFAULT_TEMPLATES[name].subject,
+        "body": found[0].getString("body") || DEFAULT_TEMPLATES[name].body
+    };
+}
+
+function formatDate(record, field) {
+    const value = record.getDateTime(field);
+    return value.isZero() ? "" : new Date(value.unix() * 1000).toISOString().slice(0, 10);
+}
+
+function findUser(userId) {
+    if (!userId) {
+        return null;
+    }
+    try {
+        return $app.findRecordById("user", userId);
+    } catch (err) {
+        return null;
+    }
+}
+
+function planName(subscription) {
+    if (!subscription) {
+        return "";
+    }
+    const variants = $app.findRecordsByFilter("variant", "variant_id = {:id}", "", 1, 0, { "id": subscription.getString("variant_id") });
+    return variants.length > 0 ? variants[0].getString("name") : "";
+}
+
+/**
+ * Sends the template to the user once per key and returns true when an email went out.
+ */
+function send(name, userId, key, data) {
+    if (!require(`${__hooks}/lemonsqueezy/config.js`).load().notificationsEnabled) {
+        return false;
+    }
+
+    const user = findUser(userId);
+    if (!user || !user.email()) {
+        return false;
+    }
+
+    const template = loadTemplate(name);
+    if (!template) {
+        return false;
+    }
+
+    const found = $app.findRecordsByFilter("email_notification", "key = {:key}", "", 1, 0, { "key": key });
+    if (found.length > 0 && found[0].getString("status") === "sent") {
+        return false;
+    }
+
+    let notification = found.length > 0 ? found[0] : null;
+    if (!notification) {
+        notification = new Record($app.findCollectionByNameOrId("email_notification"));
+        notification.load({ "key": key, "template": name, "user_id": user.id, "data": data, "attempts": 0 });
+        try {
+            // The unique key is claimed before sending, so concurrent deliveries send only once.
+            $app.save(notification);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    const attempts = notification.getInt("attempts") + 1;
+    const settings = $app.settings().meta;
+    const values = Object.assign({
+        "app_name": settings.appName,
+        "app_url": settings.appURL,
+        "user_name": user.getString("displayName") || user.email(),
+        "user_email": user.email()
+    }, data);
+
+    try {
+        const message = new MailerMessage({
+            "from": { "address": settings.senderAddress, "name": settings.senderName },
+            "to": [{ "address": user.email() }],
+            "subject": render(template.subject, values, false),
+            "html": render(template.body, values, true)
+        });
+        $app.newMailClient().send(message);
+
+        notification.load({ "email": user.email(), "status": "sent", "attempts": attempts, "error": "", "sent_at": new Date().toISOString() });
+        $app.save(notification);
+        return true;
+    } catch (err) {
+        $app.logger().error("Error sending billing email:", err, "template", name, "key", key);
+        notification.load({ "email": user.email(), "status": "failed", "attempts": attempts, "error": err.message || String(err) });
+        $app.save(notification);
+        return false;
+    }
+}
+
+function subscriptionData(subscription) {
+    return {
+        "plan": planName(subscription),
+        "subscription_id": subscription.getString("subscription_id"),
+        "trial_end": formatDate(subscription, "trial_end"),
+        "ends_at": formatDate(subscription, "cancel_at") || formatDate(subscription, "current_period_end")
+    };
+}
+
+/**
+ * Sends the welcome or cancellation email for a processed subscription webhook.
+ * `result` is the upsert result of lemonsqueezy/records.js.
+ */
+function subscriptionEvent(eventName, result) {
+    if (!result || result.stale) {
+        return;
+    }
+    const subscription = result.record;
+    const data = subscriptionData(subscription);
+
+    try {
+        if (eventName === "subscription_created") {
+            send("welcome", subscription.getString("user_id"), `welcome:${data.subscription_id}`, data);
+        } else if (eventName === "subscription_cancelled" && subscription.getBool("cancel_at_period_end")) {
+            // A subscription that is resumed and cancelled again gets a new email.
+            const key = `subscription_cancelled:${data.subscription_id}:${subscription.getString("canceled_at")}`;
+            send("subscription_cancelled", subscription.getString("user_id"), key, data);
+        }
+    } catch (err) {
+        $app.logger().error("Error sending subscription email:", err, "event", eventName);
+    }
+}
+
+/**
+ * Sends the payment_failed email for a stored subscription_invoice record.
+ */
+function paymentFailed(invoice) {
+    if (!invoice) {
+        return;
+    }
+
+    try {
+        const found = $app.findRecordsByFilter("subscription", "subscription_id = {:id}", "", 1, 0, { "id": invoice.getString("subscription_id") });
+        const subscription = found.length > 0 ? found[0] : null;
+        const data = subscription ? subscriptionData(subscription) : { "subscription_id": invoice.getString("subscription_id") };
+        data["amount"] = require(`${__hooks}/lemonsqueezy/pricing.js`).formatPrice(invoice.getInt("total"), invoice.getString("currency"));
+
+        const userId = invoice.getString("user_id") || (subscription ? subscription.getString("user_id") : "");
+        send("payment_failed", userId, `payment_failed:${invoice.getString("invoice_id")}`, data);
+    } catch (err) {
+        $app.logger().error("Error sending payment failed email:", err, "invoice", invoice.getString("invoice_id"));
+    }
+}
+
+/**
+ * Sends the trial_ending email for every trial that ends within the configured number of days
+ * and returns the number of emails sent.
+ */
+function sendTrialReminders() {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    if (!config.notificationsEnabled) {
+        return 0;
+    }
+
+    const now = Date.now();
+    const toFilterDate = (time) => new Date(time).toISOString().replace("T", " ");
+    const trials = $app.findRecordsByFilter(
+        "subscription",
+        "status = 'on_trial' && trial_end > {:now} && trial_end <= {:until}",
+        "trial_end", 0, 0,
+        { "now": toFilterDate(now), "until": toFilterDate(now + config.trialReminderDays * 24 * 60 * 60 * 1000) }
+    );
+
+    let sent = 0;
+    trials.forEach((subscription) => {
+        const data = subscriptionData(subscription);
+        // The trial end is part of the key, so an extended trial gets a new reminder.
+        const key = `trial_ending:${data.subscription_id}:${data.trial_end}`;
+        try {
+            if (send("trial_ending", subscription.getString("user_id"), key, data)) {
+                sent++;
+            }
+        } catch (err) {
+            $app.logger().error("Error sending trial reminder:", err, "subscription", data.subscription_id);
+        }
+    });
+
+    $app.logger().info("Sent trial reminders", "lemonsqueezy", "sent", sent, "trials", trials.length);
+    return sent;
+}
+
+/**
+ * Sends the failed emails again, with the values they were rendered with, until they went out
+ * or used up MAX_ATTEMPTS. Returns the number of emails sent.
+ */
+function retryFailed() {
+    if (!require(`${__hooks}/lemonsqueezy/config.js`).load().notificationsEnabled) {
+        return 0;
+    }
+
+    const failed = $app.findRecordsByFilter(
+        "email_notification",
+        "status = 'failed' && attempts < {:max}",
+        "created", 0, 0,
+        { "max": MAX_ATTEMPTS }
+    );
+
+    let sent = 0;
+    failed.forEach((notification) => {
+        const key = notification.getString("key");
+        try {
+            const data = JSON.parse(notification.getString("data") || "{}") || {};
+            if (send(notification.getString("template"), notification.getString("user_id"), key, data)) {
+                sent++;
+            }
+        } catch (err) {
+            $app.logger().error("Error retrying billing email:", err, "key", key);
+        }
+    });
+
+    if (failed.length > 0) {
+        $app.logger().info("Retried failed billing emails", "lemonsqueezy", "sent", sent, "failed", failed.length);
+    }
+    return sent;
+}
+
+module.exports = {
+    subscriptionEvent,
+    paymentFailed,
+    sendTrialReminders,
+    retryFailed
+};
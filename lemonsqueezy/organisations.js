@@ -0,0 +1,93 @@
+/**
+ * Team billing: subscriptions bought on behalf of an organisation.
+ *
+ * An organisation has `members` and `admins` (both relations to user). A checkout with an
+ * `organisation_id` attaches the subscription to the organisation, every member and admin
+ * inherits its entitlements, and only admins can open the portal or change the subscription.
+ * The seat quantity of the organisation's active subscriptions caps the number of members.
+ *
+ *   const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+ *   const organisation = organisations.requireAdmin(body.organisation_id, e.auth.id);
+ */
+
+function find(organisationId) {
+    if (!organisationId) {
+        return null;
+    }
+    try {
+        return $app.findRecordById("organisation", organisationId);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Returns the ids of everyone in the organisation, admins included.
+ */
+function memberIds(organisation) {
+    const ids = organisation.getStringSlice("members").concat(organisation.getStringSlice("admins"));
+    return Array.from(new Set(ids));
+}
+
+function isAdmin(organisation, userId) {
+    return organisation.getStringSlice("admins").includes(userId);
+}
+
+/**
+ * Returns the organisation when the user is one of its admins. Throws a NotFoundError when it
+ * doesn't exist or the user isn't part of it, and a ForbiddenError for members.
+ */
+function requireAdmin(organisationId, userId) {
+    const organisation = find(organisationId);
+    if (!organisation || !memberIds(organisation).includes(userId)) {
+        throw new NotFoundError("Organisation not found.");
+    }
+    if (!isAdmin(organisation, userId)) {
+        throw new ForbiddenError("Only organisation admins can manage its billing.");
+    }
+    return organisation;
+}
+
+/**
+ * Returns the organisations the user is a member or admin of.
+ */
+function findForUser(userId) {
+    return $app.findRecordsByFilter("organisation", "members.id ?= {:user} || admins.id ?= {:user}", "", 0, 0, { "user": userId });
+}
+
+/**
+ * Returns the seats of the organisation's subscriptions that grant access right now,
+ * or 0 when it has none.
+ */
+function seats(organisationId) {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`);
+    const now = Math.floor(Date.now() / 1000);
+
+    return $app.findRecordsByFilter("subscription", "organisation_id = {:organisation}", "", 0, 0, { "organisation": organisationId })
+        .filter((subscription) => entitlements.countsForAccess(subscription, config) &&
+            entitlements.subscriptionAccess(subscription, now, config.gracePeriodDays).active)
+        .reduce((total, subscription) => total + subscription.getInt("quantity"), 0);
+}
+
+/**
+ * Throws a BadRequestError when the organisation has a team plan with fewer seats than people.
+ * Organisations without an active subscription aren't limited.
+ */
+function assertSeats(organisation) {
+    const available = seats(organisation.id);
+    const people = memberIds(organisation).length;
+    if (available > 0 && people > available) {
+        throw new BadRequestError(`The organisation's plan has ${available} seats, but ${people} people were added.`);
+    }
+}
+
+module.exports = {
+    find,
+    memberIds,
+    isAdmin,
+    requireAdmin,
+    findForUser,
+    seats,
+    assertSeats
+};
@@ -0,0 +1,159 @@
+/**
+ * Forwards the billing events of lemonsqueezy/events.js to the configured outbound webhook URLs.
+ *
+ * enqueue() stores one outbound_event record per URL, and deliver() (a cron job in main.pb.js,
+ * every minute) posts the pending ones. The body is the event as JSON, signed like LemonSqueezy
+ * signs its own webhooks: `X-Signature` holds the hex HMAC-SHA256 of the raw body with
+ * LEMONSQUEEZY_OUTBOUND_WEBHOOK_SECRET. `X-Event-Name` and `X-Event-Id` carry the event type and
+ * id, so receivers can skip events they already handled.
+ *
+ * Any 2xx response marks the delivery "delivered". Other responses and network errors are
+ * retried with an exponential backoff, up to MAX_ATTEMPTS, after which the delivery is "failed".
+ *
+ * Without LEMONSQUEEZY_OUTBOUND_WEBHOOK_SECRET, events are neither queued nor delivered, and
+ * isEnabled() logs why. The rest of the hooks keep working.
+ *
+ *   require(`${__hooks}/lemonsqueezy/outbound.js`).deliver();
+ */
+
+const LOCK_KEY = "outbound";
+// A lock older than this belongs to a run that died without releasing it.
+const LOCK_TIMEOUT = 15 * 60; // seconds
+const MAX_ATTEMPTS = 10;
+const BASE_BACKOFF = 60; // seconds, doubled after every failed attempt
+const TIMEOUT = 10; // seconds
+
+/**
+ * Returns whether outbound URLs are configured and can be signed. Logs an error when URLs are
+ * set without a secret.
+ */
+function isEnabled() {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    if (config.outboundWebhookUrls.length === 0) {
+        return false;
+    }
+    if (!config.outboundWebhookSecret) {
+        $app.logger().error(
+            "Outbound billing webhooks are skipped: set LEMONSQUEEZY_OUTBOUND_WEBHOOK_SECRET " +
+            "or the outbound_webhook_secret field of the lemonsqueezy_settings collection."
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Queues the event for every configured URL. Does nothing when no URL or no secret is configured.
+ */
+function enqueue(event) {
+    if (!isEnabled()) {
+        return;
+    }
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    config.outboundWebhookUrls.forEach((url) => {
+        const record = new Record($app.findCollectionByNameOrId("outbound_event"));
+        record.load({
+            "event_id": event.id,
+            "type": event.type,
+            "url": url,
+            "payload": JSON.stringify(event),
+            "status": "pending",
+            "attempts": 0
+        });
+        $app.save(record);
+    });
+}
+
+function send(record, secret) {
+    const body = record.getString("payload");
+    const attempts = record.getInt("attempts") + 1;
+
+    let status = 0;
+    let error = "";
+    try {
+        const res = $http.send({
+            "url": record.getString("url"),
+            "method": "POST",
+            "body": body,
+            "headers": {
+                "Content-Type": "application/json",
+                "X-Signature": $security.hs256(body, secret),
+                "X-Event-Name": record.getString("type"),
+                "X-Event-Id": record.getString("event_id")
+            },
+            "timeout": TIMEOUT
+        });
+        status = res.statusCode;
+        if (status < 200 || status >= 300) {
+            error = `Unexpected response status ${status}`;
+        }
+    } catch (err) {
+        error = err.message || String(err);
+    }
+
+    if (!error) {
+        record.load({
+            "status": "delivered",
+            "attempts": attempts,
+            "response_status": status,
+            "error": "",
+            "next_attempt_at": "",
+            "delivered_at": new Date().toISOString()
+        });
+        $app.save(record);
+        return "delivered";
+    }
+
+    $app.logger().warn("Outbound billing webhook failed", "url", record.getString("url"), "event", record.getString("event_id"), "error", error);
+    const failed = attempts >= MAX_ATTEMPTS;
+    record.load({
+        "status": failed ? "failed" : "pending",
+        "attempts": attempts,
+        "response_status": status,
+        "error": error,
+        "next_attempt_at": failed ? "" : new Date(Date.now() + BASE_BACKOFF * Math.pow(2, attempts - 1) * 1000).toISOString()
+    });
+    $app.save(record);
+    return failed ? "failed" : "retrying";
+}
+
+/**
+ * Posts the pending deliveries that are due and returns the counts of the run. Runs that start
+ * while another one is still going do nothing.
+ */
+function deliver() {
+    const counts = { "delivered": 0, "retrying": 0, "failed": 0 };
+
+    const lock = require(`${__hooks}/lemonsqueezy/lock.js`);
+    const token = lock.acquire(LOCK_KEY, LOCK_TIMEOUT);
+    if (!token) {
+        return counts;
+    }
+
+    try {
+        const secret = require(`${__hooks}/lemonsqueezy/config.js`).load().outboundWebhookSecret;
+        const due = $app.findRecordsByFilter(
+            "outbound_event",
+            "status = 'pending' && (next_attempt_at = '' || next_attempt_at <= {:now})",
+            "created", 0, 0,
+            { "now": new Date().toISOString().replace("T", " ") }
+        );
+        due.forEach((record) => {
+            counts[send(record, secret)]++;
+        });
+
+        if (due.length > 0) {
+            $app.logger().info("Delivered outbound billing events", "lemonsqueezy", "counts", counts);
+        }
+    } finally {
+        lock.release(LOCK_KEY, token);
+    }
+
+    return counts;
+}
+
+module.exports = {
+    isEnabled,
+    enqueue,
+    deliver
+};
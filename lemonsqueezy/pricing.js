@@ -0,0 +1,151 @@
+/**
+ * Builds the public price list from the synchronized product and variant collections.
+ *
+ * Only published (active) products and variants are listed, and test-mode ones only when
+ * `testModeEntitlements` is set. Products are sorted by `product_order`, and their variants are
+ * grouped by billing interval and sorted by price. Prices are formatted from `unit_amount` (in
+ * the currency's smallest unit, e.g. cents, or yen for JPY) with the store currency stored on
+ * each variant by the synchronization.
+ *
+ * The result is cached in the app store; main.pb.js clears the cache whenever a product,
+ * variant or the settings record changes.
+ *
+ *   const pricing = require(`${__hooks}/lemonsqueezy/pricing.js`).load();
+ */
+
+const CACHE_KEY = "lemonsqueezy.pricing";
+
+const INTERVAL_GROUPS = {
+    "day": "daily",
+    "week": "weekly",
+    "month": "monthly",
+    "year": "yearly"
+};
+
+// Currencies without the usual two decimals. The JSVM has no Intl, so they're listed here.
+const MINOR_UNIT_DIGITS = {
+    "BIF": 0, "CLP": 0, "DJF": 0, "GNF": 0, "ISK": 0, "JPY": 0, "KMF": 0, "KRW": 0,
+    "PYG": 0, "RWF": 0, "UGX": 0, "VND": 0, "VUV": 0, "XAF": 0, "XOF": 0, "XPF": 0,
+    "BHD": 3, "JOD": 3, "KWD": 3, "OMR": 3, "TND": 3
+};
+
+const CURRENCY_SYMBOLS = {
+    "USD": "$",
+    "EUR": "€",
+    "GBP": "£",
+    "AUD": "A$",
+    "CAD": "CA$",
+    "NZD": "NZ$",
+    "JPY": "¥",
+    "INR": "₹",
+    "BRL": "R$"
+};
+
+function minorUnitDigits(currency) {
+    return MINOR_UNIT_DIGITS[currency] ?? 2;
+}
+
+/**
+ * Converts an amount in the currency's smallest unit to the main unit, e.g. 1999 USD cents to 19.99.
+ */
+function toMajorUnits(cents, currency) {
+    return cents / Math.pow(10, minorUnitDigits(currency));
+}
+
+/**
+ * Formats an amount in the currency's smallest unit, e.g. formatPrice(1999, "USD") returns
+ * "$19.99", formatPrice(1999, "SEK") returns "19.99 SEK" and formatPrice(1999, "JPY") "¥1,999".
+ */
+function formatPrice(cents, currency) {
+    const amount = toMajorUnits(cents, currency).toFixed(minorUnitDigits(currency)).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    const symbol = CURRENCY_SYMBOLS[currency];
+    if (symbol) {
+        return symbol + amount;
+    }
+    return currency ? `${amount} ${currency}` : amount;
+}
+
+// Groups plans billed every interval as e.g. "monthly", and longer cycles as e.g. "every_3_months".
+function intervalGroup(variant) {
+    if (variant.getString("type") !== "subscription") {
+        return "one_time";
+    }
+    const interval = variant.getString("interval");
+    const count = variant.getInt("interval_count");
+    if (count > 1) {
+        return `every_${count}_${interval}s`;
+    }
+    return INTERVAL_GROUPS[interval] || interval;
+}
+
+function describeVariant(variant) {
+    const cents = variant.getInt("unit_amount");
+    const currency = variant.getString("currency");
+
+    return {
+        "variant_id": variant.getString("variant_id"),
+        "name": variant.getString("name"),
+        "description": variant.getString("description"),
+        "type": variant.getString("type"),
+        "interval": variant.getString("interval"),
+        "interval_count": variant.getInt("interval_count"),
+        "trial_period_days": variant.getInt("trial_period_days"),
+        "unit_amount": cents,
+        "currency": currency,
+        "price": toMajorUnits(cents, currency),
+        "formatted_price": formatPrice(cents, currency)
+    };
+}
+
+function build() {
+    // Test-mode products can't be bought with the live store, so they're hidden on live servers.
+    const filter = require(`${__hooks}/lemonsqueezy/config.js`).load().testModeEntitlements
+        ? "active = true"
+        : "active = true && test_mode = false";
+
+    const variantsByProduct = {};
+    $app.findRecordsByFilter("variant", filter, "unit_amount", 0, 0).forEach((variant) => {
+        const productId = variant.getString("product_id");
+        const groups = variantsByProduct[productId] || (variantsByProduct[productId] = {});
+        const group = intervalGroup(variant);
+        (groups[group] || (groups[group] = [])).push(describeVariant(variant));
+    });
+
+    const products = $app.findRecordsByFilter("product", filter, "product_order,name", 0, 0)
+        .filter((product) => variantsByProduct[product.getString("product_id")])
+        .map((product) => ({
+            "product_id": product.getString("product_id"),
+            "name": product.getString("name"),
+            "description": product.getString("description"),
+            "image": product.getString("image"),
+            "product_order": product.getInt("product_order"),
+            "variants": variantsByProduct[product.getString("product_id")]
+        }));
+
+    return { products };
+}
+
+/**
+ * Returns `{ products }`, where every product has its variants grouped by billing interval:
+ * `monthly`, `yearly`, `weekly`, `daily`, `one_time`, or e.g. `every_3_months` for longer cycles.
+ */
+function load() {
+    const cached = $app.store().get(CACHE_KEY);
+    if (cached) {
+        return JSON.parse(cached);
+    }
+
+    const pricing = build();
+    $app.store().set(CACHE_KEY, JSON.stringify(pricing));
+    return pricing;
+}
+
+function clearCache() {
+    $app.store().remove(CACHE_KEY);
+}
+
+module.exports = {
+    load,
+    clearCache,
+    formatPrice
+};
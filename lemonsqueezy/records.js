@@ -0,0 +1,495 @@
+/**
+ * Maps LemonSqueezy API objects onto the PocketBase collections.
+ *
+ * The webhook, the manual synchronization route and the scheduled synchronization all store
+ * data through these functions, so a subscription looks the same no matter how it arrived.
+ *
+ * Every upsert returns `{ record, previous, stale, created, changes }`:
+ * - record: the saved record (or the untouched stored record when the data was stale)
+ * - previous: a copy of the stored record before the update, or null when it was created
+ * - stale: true when the stored record already reflected a newer LemonSqueezy state
+ * - created: true when the record didn't exist yet
+ * - changes: the names of the fields that changed; records without changes aren't saved
+ *
+ * Pass `{ dryRun: true }` as options to compute the result without writing anything.
+ *
+ * Every record stores the `store_id` and `test_mode` of its object. Objects that don't carry them
+ * (variants) take them from `options.storeId` and `options.testMode`, passed by the webhook and
+ * the synchronization.
+ *
+ * Saving a subscription or order also refreshes the plan, subscription_status and entitlements
+ * fields of its user (see lemonsqueezy/entitlements.js), and changes that matter to the rest of
+ * the app are emitted as billing events (see lemonsqueezy/events.js).
+ *
+ *   const records = require(`${__hooks}/lemonsqueezy/records.js`);
+ */
+
+function findOne(collection, field, value) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+
+    const found = $app.findRecordsByFilter(collection, `${field} = {:value}`, "", 1, 0, { "value": String(value) });
+    return found.length > 0 ? found[0] : null;
+}
+
+/**
+ * Returns true when the stored record already reflects a newer LemonSqueezy state than
+ * `updatedAt`, which happens when retries or out-of-order deliveries arrive late.
+ */
+function isStale(record, updatedAt) {
+    if (!record || !updatedAt) {
+        return false;
+    }
+    const stored = record.getDateTime("lemonsqueezy_updated_at");
+    return !stored.isZero() && new DateTime(updatedAt).unix() < stored.unix();
+}
+
+function stale(existing) {
+    return { "record": existing, "previous": existing, "stale": true, "created": false, "changes": [] };
+}
+
+// Returns the store_id and test_mode fields of a LemonSqueezy object.
+function storeFields(item, options) {
+    return {
+        "store_id": String(item.attributes?.store_id || options?.storeId || ""),
+        "test_mode": Boolean(item.attributes?.test_mode ?? options?.testMode)
+    };
+}
+
+// Loads the data into the stored record (or a new one) and saves it when a field changed.
+function save(collection, existing, data, defaults, options) {
+    const previous = existing ? existing.fresh() : null;
+
+    let record = existing;
+    if (!record) {
+        record = new Record($app.findCollectionByNameOrId(collection));
+        record.load(defaults || {});
+    }
+    record.load(data);
+
+    const changes = Object.keys(data).filter((field) => !previous || record.getString(field) !== previous.getString(field));
+    if (changes.length > 0 && !options?.dryRun) {
+        $app.save(record);
+    }
+
+    return { record, previous, "stale": false, "created": !previous, changes };
+}
+
+// Keeps the denormalised billing fields of the record's user (and organisation members)
+// in sync after a change.
+function refreshUser(result, options) {
+    if (result.changes.length === 0 || options?.dryRun) {
+        return;
+    }
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`);
+    if (result.record.getString("user_id")) {
+        entitlements.refreshUser(result.record.getString("user_id"));
+    }
+    if (result.record.getString("organisation_id")) {
+        entitlements.refreshOrganisation(result.record.getString("organisation_id"));
+    }
+}
+
+// Emits the billing events of a saved subscription. Apart from subscription.started, events
+// describe a change, so records seen for the first time (e.g. by a first sync) emit nothing else.
+function emitSubscriptionEvents(result, options) {
+    if (result.changes.length === 0 || options?.dryRun) {
+        return;
+    }
+    const events = require(`${__hooks}/lemonsqueezy/events.js`);
+    const record = result.record;
+    const previous = result.previous;
+
+    if (!previous) {
+        if (["active", "on_trial"].includes(record.getString("status"))) {
+            events.emit("subscription.started", record, null);
+        }
+        return;
+    }
+    if (record.getString("variant_id") !== previous.getString("variant_id")) {
+        events.emit("subscription.plan_changed", record, previous);
+    }
+    if (record.getBool("cancel_at_period_end") && !previous.getBool("cancel_at_period_end")) {
+        events.emit("subscription.cancelled", record, previous);
+    }
+    if (record.getString("status") === "expired" && previous.getString("status") !== "expired") {
+        events.emit("subscription.expired", record, previous);
+    }
+}
+
+/**
+ * Resolves the PocketBase user behind a LemonSqueezy customer: the user_id passed as checkout
+ * custom data wins, then an already linked customer record, then a verified user with the same
+ * email. Unverified accounts are skipped, so nobody can claim a purchase by signing up with the
+ * buyer's address.
+ */
+function resolveUserId(lemonsqueezyCustomerId, email, customData) {
+    const customUserId = customData?.user_id;
+    if (customUserId) {
+        try {
+            return $app.findRecordById("user", customUserId).id;
+        } catch (err) {
+            $app.logger().warn("Unknown user in custom data", "lemonsqueezy", "resolveUserId", "user_id", customUserId);
+        }
+    }
+
+    const customer = findOne("customer", "lemonsqueezy_customer_id", lemonsqueezyCustomerId);
+    if (customer && customer.getString("user_id")) {
+        return customer.getString("user_id");
+    }
+
+    if (!email) {
+        return "";
+    }
+    const users = $app.findRecordsByFilter("user", "email = {:email} && verified = true", "", 1, 0, { "email": String(email) });
+    return users.length > 0 ? users[0].id : "";
+}
+
+/**
+ * Makes sure the LemonSqueezy customer is linked to the resolved user, so purchases made
+ * outside of /create-checkout-session are found through the customer collection as well.
+ * `source` is the data of the record that references the customer; its store is copied.
+ */
+function linkCustomer(lemonsqueezyCustomerId, userId, source) {
+    if (!lemonsqueezyCustomerId || !userId) {
+        return;
+    }
+
+    const store = source ? { "store_id": source.store_id, "test_mode": source.test_mode } : {};
+    const customer = findOne("customer", "lemonsqueezy_customer_id", lemonsqueezyCustomerId);
+    if (customer) {
+        if (!customer.getString("user_id") || (store.store_id && !customer.getString("store_id"))) {
+            customer.load(Object.assign({ "user_id": customer.getString("user_id") || userId }, store));
+            $app.save(customer);
+        }
+        return;
+    }
+
+    save("customer", null, Object.assign({
+        "lemonsqueezy_customer_id": lemonsqueezyCustomerId,
+        "user_id": userId
+    }, store));
+}
+
+function upsertSubscription(subscription, customData, options) {
+    const existing = findOne("subscription", "subscription_id", subscription.id);
+    if (isStale(existing, subscription.attributes?.updated_at)) {
+        return stale(existing);
+    }
+
+    // The subscription object always carries its full state, so the cancellation,
+    // expiry and pause fields are derived from it rather than from the event name.
+    const status = subscription.attributes?.status || "";
+    const cancelled = subscription.attributes?.cancelled || false;
+    const previousCanceledAt = existing ? existing.getString("canceled_at") : "";
+
+    const subscriptionData = {
+        "subscription_id": subscription.id,
+        "lemonsqueezy_customer_id": subscription.attributes?.customer_id || "",
+        "order_id": String(subscription.attributes?.order_id || ""),
+        "status": status,
+        "variant_id": subscription.attributes?.variant_id || "",
+        "subscription_item_id": String(subscription.attributes?.first_subscription_item?.id || ""),
+        "quantity": subscription.attributes?.first_subscription_item?.quantity || 0,
+        "cancel_at_period_end": cancelled,
+        "current_period_start": subscription.attributes?.created_at || "",
+        "current_period_end": subscription.attributes?.renews_at || "",
+        "ended_at": status === "expired"
+            ? (subscription.attributes?.ends_at || subscription.attributes?.updated_at || "")
+            : "",
+        "cancel_at": cancelled ? (subscription.attributes?.ends_at || "") : "",
+        "canceled_at": cancelled
+            ? (previousCanceledAt || subscription.attributes?.updated_at || "")
+            : "",
+        "trial_start": "",
+        "trial_end": subscription.attributes?.trial_ends_at || "",
+        "pause_mode": subscription.attributes?.pause?.mode || "",
+        "pause_resumes_at": subscription.attributes?.pause?.resumes_at || "",
+        "orphaned": false,
+        "lemonsqueezy_updated_at": subscription.attributes?.updated_at || ""
+    };
+    Object.assign(subscriptionData, storeFields(subscription, options));
+
+    // A past_due status starts (or continues) a dunning cycle, see lemonsqueezy/dunning.js.
+    const changedAt = subscription.attributes?.updated_at ? new DateTime(subscription.attributes.updated_at).unix() : 0;
+    Object.assign(subscriptionData, require(`${__hooks}/lemonsqueezy/dunning.js`).forStatus(existing, status, changedAt));
+
+    // Team plans are bought on behalf of an organisation by /create-checkout-session.
+    // The synchronization doesn't see custom data, so it keeps the stored organisation.
+    const organisationId = customData?.organisation_id;
+    if (organisationId && require(`${__hooks}/lemonsqueezy/organisations.js`).find(organisationId)) {
+        subscriptionData["organisation_id"] = organisationId;
+    }
+
+    const userId = resolveUserId(subscriptionData.lemonsqueezy_customer_id, subscription.attributes?.user_email, customData);
+    if (userId) {
+        subscriptionData["user_id"] = userId;
+        if (!options?.dryRun) {
+            linkCustomer(subscriptionData.lemonsqueezy_customer_id, userId, subscriptionData);
+        }
+    }
+
+    const result = save("subscription", existing, subscriptionData, { "metadata": JSON.stringify({}) }, options);
+    refreshUser(result, options);
+    emitSubscriptionEvents(result, options);
+    return result;
+}
+
+function upsertInvoice(invoice, eventName, options) {
+    const existing = findOne("subscription_invoice", "invoice_id", invoice.id);
+    if (isStale(existing, invoice.attributes?.updated_at)) {
+        return stale(existing);
+    }
+
+    const invoiceData = {
+        "invoice_id": invoice.id,
+        "subscription_id": invoice.attributes?.subscription_id || "",
+        "lemonsqueezy_customer_id": invoice.attributes?.customer_id || "",
+        "user_email": invoice.attributes?.user_email || "",
+        "billing_reason": invoice.attributes?.billing_reason || "",
+        "status": invoice.attributes?.status || "",
+        "currency": invoice.attributes?.currency || "",
+        "subtotal": invoice.attributes?.subtotal || 0,
+        "discount_total": invoice.attributes?.discount_total || 0,
+        "tax": invoice.attributes?.tax || 0,
+        "total": invoice.attributes?.total || 0,
+        "refunded": invoice.attributes?.refunded || false,
+        "refunded_at": invoice.attributes?.refunded_at || "",
+        "refunded_amount": invoice.attributes?.refunded_amount || 0,
+        "card_brand": invoice.attributes?.card_brand || "",
+        "card_last_four": invoice.attributes?.card_last_four || "",
+        "invoice_url": invoice.attributes?.urls?.invoice_url || "",
+        "lemonsqueezy_created_at": invoice.attributes?.created_at || "",
+        "lemonsqueezy_updated_at": invoice.attributes?.updated_at || ""
+    };
+    Object.assign(invoiceData, storeFields(invoice, options));
+    if (eventName) {
+        invoiceData["event_name"] = eventName;
+    }
+
+    // Invoices belong to the user of their subscription, which may have been bought with
+    // another email address than the customer's current one.
+    const subscription = findOne("subscription", "subscription_id", invoiceData.subscription_id);
+    const userId = (subscription && subscription.getString("user_id")) ||
+        resolveUserId(invoiceData.lemonsqueezy_customer_id, invoiceData.user_email, null);
+    if (userId) {
+        invoiceData["user_id"] = userId;
+    }
+
+    const result = save("subscription_invoice", existing, invoiceData, null, options);
+    if (eventName === "subscription_payment_failed" && result.changes.length > 0 && !options?.dryRun) {
+        require(`${__hooks}/lemonsqueezy/events.js`).emit("subscription.payment_failed", result.record, result.previous);
+    }
+    return result;
+}
+
+/**
+ * Payment events don't include the subscription itself, so its status is moved in and out of
+ * "past_due" here; the next subscription_updated event overwrites it anyway. A failed payment
+ * starts or continues the dunning cycle and a successful one ends it.
+ */
+function applyPaymentEvent(invoice, eventName) {
+    const subscription = findOne("subscription", "subscription_id", invoice.attributes?.subscription_id);
+    if (!subscription || isStale(subscription, invoice.attributes?.updated_at)) {
+        return null;
+    }
+
+    const currentStatus = subscription.getString("status");
+    if (eventName === "subscription_payment_failed") {
+        subscription.set("status", "past_due");
+    } else if (currentStatus === "past_due" || currentStatus === "unpaid") {
+        subscription.set("status", "active");
+    }
+    const paidAt = invoice.attributes?.created_at ? new DateTime(invoice.attributes.created_at).unix() : 0;
+    subscription.load(require(`${__hooks}/lemonsqueezy/dunning.js`).forPayment(subscription, eventName, paidAt));
+    $app.save(subscription);
+    refreshUser({ "record": subscription, "changes": ["status"] });
+    return subscription;
+}
+
+function upsertOrder(order, customData, options) {
+    const existing = findOne("order", "order_id", order.id);
+    if (isStale(existing, order.attributes?.updated_at)) {
+        return stale(existing);
+    }
+
+    const status = order.attributes?.status || "";
+    const refunded = order.attributes?.refunded || status === "refunded";
+
+    const orderData = {
+        "order_id": order.id,
+        "order_number": order.attributes?.order_number || 0,
+        "identifier": order.attributes?.identifier || "",
+        "lemonsqueezy_customer_id": order.attributes?.customer_id || "",
+        "user_email": order.attributes?.user_email || "",
+        "product_id": order.attributes?.first_order_item?.product_id || "",
+        "variant_id": order.attributes?.first_order_item?.variant_id || "",
+        "quantity": order.attributes?.first_order_item?.quantity || 0,
+        "currency": order.attributes?.currency || "",
+        "subtotal": order.attributes?.subtotal || 0,
+        "discount_total": order.attributes?.discount_total || 0,
+        "tax": order.attributes?.tax || 0,
+        "total": order.attributes?.total || 0,
+        "status": status,
+        "refunded": refunded,
+        "refunded_at": order.attributes?.refunded_at || "",
+        "refunded_amount": order.attributes?.refunded_amount || 0,
+        "receipt_url": order.attributes?.urls?.receipt || "",
+        "lemonsqueezy_created_at": order.attributes?.created_at || "",
+        // Lifetime licences and credit packs are granted by a paid order;
+        // a full refund revokes them by deactivating the order.
+        "active": !refunded && (status === "paid" || status === "partial_refund"),
+        "lemonsqueezy_updated_at": order.attributes?.updated_at || ""
+    };
+    Object.assign(orderData, storeFields(order, options));
+
+    const userId = resolveUserId(orderData.lemonsqueezy_customer_id, orderData.user_email, customData);
+    if (userId) {
+        orderData["user_id"] = userId;
+        if (!options?.dryRun) {
+            linkCustomer(orderData.lemonsqueezy_customer_id, userId, orderData);
+        }
+    }
+
+    const result = save("order", existing, orderData, { "metadata": JSON.stringify({}) }, options);
+    refreshUser(result, options);
+    if (result.previous && refunded && !result.previous.getBool("refunded") && !options?.dryRun) {
+        require(`${__hooks}/lemonsqueezy/events.js`).emit("order.refunded", result.record, result.previous);
+    }
+    return result;
+}
+
+function upsertLicenseKey(licenseKey, customData, options) {
+    const existing = findOne("license_key", "license_key_id", licenseKey.id);
+    if (isStale(existing, licenseKey.attributes?.updated_at)) {
+        return stale(existing);
+    }
+
+    const licenseKeyData = {
+        "license_key_id": licenseKey.id,
+        "key": licenseKey.attributes?.key || "",
+        "key_short": licenseKey.attributes?.key_short || "",
+        "status": licenseKey.attributes?.status || "",
+        "disabled": licenseKey.attributes?.disabled || false,
+        // 0 means the key can be activated on any number of instances.
+        "activation_limit": licenseKey.attributes?.activation_limit || 0,
+        "activation_usage": licenseKey.attributes?.instances_count || 0,
+        "order_id": String(licenseKey.attributes?.order_id || ""),
+        "order_item_id": String(licenseKey.attributes?.order_item_id || ""),
+        "product_id": String(licenseKey.attributes?.product_id || ""),
+        "lemonsqueezy_customer_id": licenseKey.attributes?.customer_id || "",
+        "user_email": licenseKey.attributes?.user_email || "",
+        "expires_at": licenseKey.attributes?.expires_at || "",
+        "lemonsqueezy_updated_at": licenseKey.attributes?.updated_at || ""
+    };
+    Object.assign(licenseKeyData, storeFields(licenseKey, options));
+
+    const userId = resolveUserId(licenseKeyData.lemonsqueezy_customer_id, licenseKeyData.user_email, customData);
+    if (userId) {
+        licenseKeyData["user_id"] = userId;
+        if (!options?.dryRun) {
+            linkCustomer(licenseKeyData.lemonsqueezy_customer_id, userId, licenseKeyData);
+        }
+    }
+
+    return save("license_key", existing, licenseKeyData, null, options);
+}
+
+/**
+ * Variants don't carry a currency, so the store currency is passed as options.currency;
+ * without it the stored currency is kept.
+ */
+function upsertVariant(variant, options) {
+    const existing = findOne("variant", "variant_id", variant.id);
+
+    const variantData = {
+        "variant_id": variant.id,
+        "product_id": variant.attributes.product_id,
+        "active": variant.attributes.status === "published",
+        "name": variant.attributes.name || "",
+        "description": variant.attributes.description,
+        "currency": options?.currency || (existing ? existing.getString("currency") : ""),
+        "unit_amount": variant.attributes.price,
+        "type": variant.attributes.is_subscription ? "subscription" : "one-time",
+        "interval": variant.attributes.interval,
+        "interval_count": variant.attributes.interval_count,
+        "trial_period_days": variant.attributes.has_free_trial ? variant.attributes.trial_interval_count : 0
+    };
+
+    // Variants belong to the store of their product.
+    const product = findOne("product", "product_id", variantData.product_id);
+    Object.assign(variantData, storeFields(variant, {
+        "storeId": options?.storeId || (product ? product.getString("store_id") : ""),
+        "testMode": options?.testMode ?? (product ? product.getBool("test_mode") : false)
+    }));
+
+    // metadata holds the feature flags maintained in PocketBase, so it's only set on create.
+    return save("variant", existing, variantData, { "metadata": JSON.stringify({}) }, options);
+}
+
+function upsertProduct(product, options) {
+    const existing = findOne("product", "product_id", product.id);
+
+    const productData = {
+        "product_id": product.id,
+        "active": product.attributes.status === "published",
+        "name": product.attributes.name,
+        "description": product.attributes.description,
+        "image": product.attributes.thumb_url
+    };
+    Object.assign(productData, storeFields(product, options));
+
+    // metadata holds the feature flags maintained in PocketBase, so it's only set on create.
+    return save("product", existing, productData, { "metadata": JSON.stringify({}) }, options);
+}
+
+/**
+ * Discounts are fetched with `include=variants`, so the variants a discount is limited to
+ * come with it as relationships.
+ */
+function upsertDiscount(discount, options) {
+    const existing = findOne("discount", "discount_id", discount.id);
+    if (isStale(existing, discount.attributes?.updated_at)) {
+        return stale(existing);
+    }
+
+    const variantIds = (discount.relationships?.variants?.data || []).map((variant) => String(variant.id));
+    const discountData = {
+        "discount_id": discount.id,
+        "name": discount.attributes?.name || "",
+        "code": discount.attributes?.code || "",
+        // A percentage for "percent" discounts, cents for "fixed" ones.
+        "amount": discount.attributes?.amount || 0,
+        "amount_type": discount.attributes?.amount_type || "",
+        "is_limited_to_products": discount.attributes?.is_limited_to_products || false,
+        "variant_ids": JSON.stringify(variantIds),
+        "is_limited_redemptions": discount.attributes?.is_limited_redemptions || false,
+        "max_redemptions": discount.attributes?.max_redemptions || 0,
+        "starts_at": discount.attributes?.starts_at || "",
+        "expires_at": discount.attributes?.expires_at || "",
+        "duration": discount.attributes?.duration || "",
+        "duration_in_months": discount.attributes?.duration_in_months || 0,
+        "status": discount.attributes?.status || "",
+        "active": discount.attributes?.status === "published",
+        "lemonsqueezy_updated_at": discount.attributes?.updated_at || ""
+    };
+    Object.assign(discountData, storeFields(discount, options));
+
+    return save("discount", existing, discountData, null, options);
+}
+
+module.exports = {
+    findOne,
+    isStale,
+    resolveUserId,
+    linkCustomer,
+    upsertSubscription,
+    upsertInvoice,
+    applyPaymentEvent,
+    upsertOrder,
+    upsertLicenseKey,
+    upsertVariant,
+    upsertProduct,
+    upsertDiscount
+};
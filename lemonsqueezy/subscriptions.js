@@ -0,0 +1,238 @@
+/**
+ * Lets users manage their own subscriptions without leaving for the customer portal.
+ *
+ * Every function takes the id of the authenticated user and the LemonSqueezy subscription id,
+ * throws a NotFoundError when the subscription doesn't belong to the user, sends the change to
+ * LemonSqueezy and stores the subscription it returns right away, so the local record is up to
+ * date before the subscription_updated webhook arrives. They return the saved record.
+ *
+ * Plan and quantity changes accept a `proration` option:
+ * - "prorate" (default): charge or credit the difference on the next invoice
+ * - "invoice_immediately": charge the difference right away
+ * - "none": don't prorate, the new price applies from the next renewal
+ *
+ *   const record = require(`${__hooks}/lemonsqueezy/subscriptions.js`).cancel(e.auth.id, e.request.pathValue("id"));
+ */
+
+const PRORATIONS = {
+    "prorate": {},
+    "invoice_immediately": { "invoice_immediately": true },
+    "none": { "disable_prorations": true }
+};
+
+const PAUSE_MODES = ["void", "free"];
+
+/**
+ * Returns the subscription record when it belongs to the user, either directly or through
+ * one of the user's customer records, and throws a NotFoundError otherwise. Subscriptions of
+ * an organisation can only be managed by its admins.
+ */
+function findOwned(userId, subscriptionId) {
+    const found = $app.findRecordsByFilter("subscription", "subscription_id = {:id}", "", 1, 0, { "id": String(subscriptionId || "") });
+    const subscription = found.length > 0 ? found[0] : null;
+
+    if (subscription && subscription.getString("organisation_id")) {
+        require(`${__hooks}/lemonsqueezy/organisations.js`).requireAdmin(subscription.getString("organisation_id"), userId);
+        return subscription;
+    }
+    if (subscription && subscription.getString("user_id") === userId) {
+        return subscription;
+    }
+    if (subscription && subscription.getString("lemonsqueezy_customer_id")) {
+        const customers = $app.findRecordsByFilter(
+            "customer",
+            "user_id = {:user} && lemonsqueezy_customer_id = {:customer}",
+            "", 1, 0,
+            { "user": userId, "customer": subscription.getString("lemonsqueezy_customer_id") }
+        );
+        if (customers.length > 0) {
+            return subscription;
+        }
+    }
+
+    throw new NotFoundError("Subscription not found.");
+}
+
+function prorationOptions(body) {
+    const proration = body?.proration || "prorate";
+    if (!PRORATIONS[proration]) {
+        throw new BadRequestError("Invalid proration.", {
+            "proration": { "code": "validation_invalid_value", "message": `Must be one of ${Object.keys(PRORATIONS).join(", ")}.` }
+        });
+    }
+    return PRORATIONS[proration];
+}
+
+// Sends the request with the key of the subscription's store and turns rejected changes into
+// a BadRequestError with LemonSqueezy's reason.
+function send(subscription, request) {
+    const client = require(`${__hooks}/lemonsqueezy/client.js`);
+    try {
+        return request(client.createClient({ "storeId": subscription.getString("store_id"), "testMode": subscription.getBool("test_mode") }));
+    } catch (err) {
+        $app.logger().error("Error changing subscription:", err);
+        if (err instanceof client.LemonSqueezyValidationError || err instanceof client.LemonSqueezyNotFoundError) {
+            throw new BadRequestError(err.detail || "LemonSqueezy didn't accept the change.");
+        }
+        throw new ApiError(502, "LemonSqueezy didn't accept the change, try again later.");
+    }
+}
+
+function patchSubscription(subscription, attributes) {
+    const id = subscription.getString("subscription_id");
+    const response = send(subscription, (client) => client.patch(`/v1/subscriptions/${id}`, {
+        "data": {
+            "type": "subscriptions",
+            "id": id,
+            "attributes": attributes
+        }
+    }));
+    return store(response);
+}
+
+function store(response) {
+    return require(`${__hooks}/lemonsqueezy/records.js`).upsertSubscription(response.data, null).record;
+}
+
+function assertStatus(subscription, allowed, message) {
+    if (!allowed.includes(subscription.getString("status"))) {
+        throw new BadRequestError(message);
+    }
+}
+
+/**
+ * Moves the subscription to another active subscription variant.
+ */
+function changePlan(userId, subscriptionId, body) {
+    const subscription = findOwned(userId, subscriptionId);
+    assertStatus(subscription, ["active", "on_trial", "past_due"], "Only running subscriptions can change plans.");
+
+    const variantId = String(body?.variant_id || "");
+    const variants = $app.findRecordsByFilter(
+        "variant",
+        "variant_id = {:id} && active = true && type = 'subscription'",
+        "", 1, 0,
+        { "id": variantId }
+    );
+    if (variants.length === 0) {
+        throw new BadRequestError("Invalid variant.", {
+            "variant_id": { "code": "validation_invalid_value", "message": "Must be an active subscription variant." }
+        });
+    }
+    if (variantId === subscription.getString("variant_id")) {
+        throw new BadRequestError("The subscription is already on this plan.");
+    }
+
+    return patchSubscription(subscription, Object.assign({ "variant_id": Number(variantId) }, prorationOptions(body)));
+}
+
+/**
+ * Changes the number of seats through the subscription item.
+ */
+function changeQuantity(userId, subscriptionId, body) {
+    const subscription = findOwned(userId, subscriptionId);
+    assertStatus(subscription, ["active", "on_trial", "past_due"], "Only running subscriptions can change their quantity.");
+
+    const quantity = Number(body?.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new BadRequestError("Invalid quantity.", {
+            "quantity": { "code": "validation_invalid_value", "message": "Must be a whole number of at least 1." }
+        });
+    }
+
+    const organisationId = subscription.getString("organisation_id");
+    if (organisationId) {
+        const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+        const members = organisations.memberIds(organisations.find(organisationId)).length;
+        if (quantity < members) {
+            throw new BadRequestError("Invalid quantity.", {
+                "quantity": { "code": "validation_invalid_value", "message": `The organisation has ${members} members.` }
+            });
+        }
+    }
+
+    const itemId = subscription.getString("subscription_item_id");
+    if (!itemId) {
+        throw new BadRequestError("The subscription item isn't known yet, run a synchronization first.");
+    }
+
+    send(subscription, (client) => client.patch(`/v1/subscription-items/${itemId}`, {
+        "data": {
+            "type": "subscription-items",
+            "id": itemId,
+            "attributes": Object.assign({ "quantity": quantity }, prorationOptions(body))
+        }
+    }));
+
+    // The subscription item response doesn't include the subscription, so fetch it again.
+    return store(send(subscription, (client) => client.get(`/v1/subscriptions/${subscription.getString("subscription_id")}`)));
+}
+
+/**
+ * Cancels the subscription at the end of the current period.
+ */
+function cancel(userId, subscriptionId) {
+    const subscription = findOwned(userId, subscriptionId);
+    assertStatus(subscription, ["active", "on_trial", "past_due", "paused", "unpaid"], "The subscription can't be cancelled.");
+
+    const id = subscription.getString("subscription_id");
+    return store(send(subscription, (client) => client.delete(`/v1/subscriptions/${id}`)));
+}
+
+/**
+ * Resumes a cancelled subscription before its period ends.
+ */
+function resume(userId, subscriptionId) {
+    const subscription = findOwned(userId, subscriptionId);
+    assertStatus(subscription, ["cancelled"], "Only cancelled subscriptions can be resumed.");
+
+    return patchSubscription(subscription, { "cancelled": false });
+}
+
+/**
+ * Pauses the payment collection. `mode` is "void" (no access while paused, the default) or
+ * "free" (access continues for free); `resumes_at` optionally unpauses on that date.
+ */
+function pause(userId, subscriptionId, body) {
+    const subscription = findOwned(userId, subscriptionId);
+    assertStatus(subscription, ["active", "on_trial"], "Only active subscriptions can be paused.");
+
+    const mode = body?.mode || "void";
+    if (!PAUSE_MODES.includes(mode)) {
+        throw new BadRequestError("Invalid pause mode.", {
+            "mode": { "code": "validation_invalid_value", "message": `Must be one of ${PAUSE_MODES.join(", ")}.` }
+        });
+    }
+
+    const pauseData = { "mode": mode };
+    if (body?.resumes_at) {
+        const time = Date.parse(String(body.resumes_at));
+        if (isNaN(time) || time <= Date.now()) {
+            throw new BadRequestError("Invalid resume date.", {
+                "resumes_at": { "code": "validation_invalid_value", "message": "Must be an ISO 8601 date in the future." }
+            });
+        }
+        pauseData["resumes_at"] = new Date(time).toISOString();
+    }
+
+    return patchSubscription(subscription, { "pause": pauseData });
+}
+
+function unpause(userId, subscriptionId) {
+    const subscription = findOwned(userId, subscriptionId);
+    if (!subscription.getString("pause_mode")) {
+        throw new BadRequestError("The subscription isn't paused.");
+    }
+
+    return patchSubscription(subscription, { "pause": null });
+}
+
+module.exports = {
+    findOwned,
+    changePlan,
+    changeQuantity,
+    cancel,
+    resume,
+    pause,
+    unpause
+};
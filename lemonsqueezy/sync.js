@@ -0,0 +1,408 @@
+/**
+ * Synchronizes subscriptions, subscription invoices, orders, license keys, variants, products and
+ * discounts from LemonSqueezy into PocketBase.
+ *
+ * Used by the /manual-lemonsqueezy-synchronization route and by the scheduled job in main.pb.js.
+ * Runs are incremental: the latest `updated_at` seen per entity is stored in the sync_cursor
+ * collection, and records that haven't changed since then are skipped without a write. The
+ * LemonSqueezy API can't filter lists by `updated_at`, so the pages are still read (100 records
+ * per request), but only changed records are saved. Pass `full: true` to re-save everything.
+ *
+ * After the records are saved, a reconciliation pass compares the local rows with the complete
+ * LemonSqueezy lists: products, variants and discounts that were deleted upstream are set to
+ * `active: false`, subscriptions that are missing upstream are flagged as `orphaned` and license
+ * keys that are missing upstream are set to `disabled: true`. Invoices and orders can't be deleted
+ * in LemonSqueezy, so they aren't reconciled. Saved records refresh the billing fields of their
+ * users right away (lemonsqueezy/records.js); the users of reconciled records are refreshed at the
+ * end of the run, so a run only touches the users whose records changed. Access that runs out
+ * with time is handled by the dunning cron (lemonsqueezy/dunning.js).
+ *
+ * Every store of lemonsqueezy/config.js is synchronized with its own API key, and the lists are
+ * filtered by its store id. Cursors are kept per store and entity (the default store keeps the
+ * plain entity name), and reconciliation only looks at the rows of the store being synchronized;
+ * rows stored before their store was recorded count as rows of the default store. It also only
+ * looks at the rows of the store's mode: the configured test_mode, or else the test_mode of the
+ * fetched items. When neither tells the mode (no test_mode set and nothing fetched), the entity
+ * isn't reconciled in that run. Counts and the report add up the stores, and errors name the
+ * store they happened in.
+ *
+ * A dry run (`dryRun: true`) computes the same changes and returns them as a diff report
+ * (created / updated / deactivated) without writing anything, not even a sync_run record.
+ *
+ * Only one synchronization runs at a time: a run that starts while another one holds the lock is
+ * recorded as "skipped". Every run is recorded in the sync_run collection with its start and end
+ * time, the counts per entity and the errors of the records that failed.
+ *
+ *   const run = require(`${__hooks}/lemonsqueezy/sync.js`).run({ "trigger": "manual", "full": false });
+ */
+
+const LOCK_KEY = "sync";
+// A lock older than this belongs to a run that died without releasing it.
+const LOCK_TIMEOUT = 60 * 60; // seconds
+
+// `reconcileFilter` selects the local rows that are still considered live and `reconcileData`
+// is applied to those of them that are missing upstream; entities without them aren't reconciled.
+// Invoices come after subscriptions, so they find the user of their subscription, and variants
+// come after products, so they find the store of their product. `fetch` replaces the default
+// list request of the store.
+const ENTITIES = [
+    {
+        "name": "subscription",
+        "path": "/v1/subscriptions",
+        "idField": "subscription_id",
+        "upsert": (records, item, options) => records.upsertSubscription(item, null, options),
+        "reconcileFilter": "orphaned = false",
+        "reconcileData": { "orphaned": true }
+    },
+    {
+        "name": "subscription_invoice",
+        "path": "/v1/subscription-invoices",
+        "idField": "invoice_id",
+        "upsert": (records, item, options) => records.upsertInvoice(item, null, options)
+    },
+    {
+        "name": "order",
+        "path": "/v1/orders",
+        "idField": "order_id",
+        "upsert": (records, item, options) => records.upsertOrder(item, null, options)
+    },
+    {
+        "name": "license_key",
+        "path": "/v1/license-keys",
+        "idField": "license_key_id",
+        "upsert": (records, item, options) => records.upsertLicenseKey(item, null, options),
+        "reconcileFilter": "disabled = false",
+        "reconcileData": { "disabled": true }
+    },
+    {
+        "name": "product",
+        "path": "/v1/products",
+        "idField": "product_id",
+        "upsert": (records, item, options) => records.upsertProduct(item, options),
+        "reconcileFilter": "active = true",
+        "reconcileData": { "active": false }
+    },
+    {
+        "name": "variant",
+        "path": "/v1/variants",
+        "idField": "variant_id",
+        // /v1/variants can't be filtered by store, so the variants come with the store's products.
+        "fetch": (client, store) => client.list("/v1/products", { "filter[store_id]": store.id, "include": "variants" })
+            .included.filter((item) => item.type === "variants"),
+        "upsert": (records, item, options) => records.upsertVariant(item, options),
+        "reconcileFilter": "active = true",
+        "reconcileData": { "active": false }
+    },
+    {
+        "name": "discount",
+        "path": "/v1/discounts",
+        "query": { "include": "variants" },
+        "idField": "discount_id",
+        "upsert": (records, item, options) => records.upsertDiscount(item, options),
+        "reconcileFilter": "active = true",
+        "reconcileData": { "active": false }
+    }
+];
+
+function findCursor(entity) {
+    const found = $app.findRecordsByFilter("sync_cursor", "entity = {:entity}", "", 1, 0, { "entity": entity });
+    return found.length > 0 ? found[0] : null;
+}
+
+// Returns the stored high-water mark of the entity in unix seconds, 0 when there is none.
+function readCursor(entity) {
+    const cursor = findCursor(entity);
+    if (!cursor) {
+        return 0;
+    }
+    const value = cursor.getDateTime("cursor");
+    return value.isZero() ? 0 : value.unix();
+}
+
+function writeCursor(entity, updatedAt) {
+    const record = findCursor(entity) || new Record($app.findCollectionByNameOrId("sync_cursor"));
+    record.load({
+        "entity": entity,
+        "cursor": updatedAt
+    });
+    $app.save(record);
+}
+
+function updatedAtSeconds(item) {
+    const updatedAt = item.attributes?.updated_at;
+    return updatedAt ? new DateTime(updatedAt).unix() : 0;
+}
+
+function createRun(trigger, full, status) {
+    const record = new Record($app.findCollectionByNameOrId("sync_run"));
+    record.load({
+        "trigger": trigger,
+        "full": full,
+        "status": status,
+        "started_at": new Date().toISOString(),
+        "counts": {},
+        "errors": []
+    });
+    $app.save(record);
+    return record;
+}
+
+function finishRun(record, status, counts, errors) {
+    record.load({
+        "status": status,
+        "finished_at": new Date().toISOString(),
+        "counts": counts,
+        "errors": errors
+    });
+    $app.save(record);
+}
+
+function summary(record, counts, errors) {
+    return {
+        "id": record.id,
+        "trigger": record.getString("trigger"),
+        "full": record.getBool("full"),
+        "status": record.getString("status"),
+        "started_at": record.getString("started_at"),
+        "finished_at": record.getString("finished_at"),
+        "counts": counts,
+        "errors": errors
+    };
+}
+
+// Variants don't carry a currency, so it's read from the store once per run.
+function storeCurrency(client, store, errors) {
+    try {
+        return client.get(`/v1/stores/${store.id}`).data.attributes.currency || "";
+    } catch (err) {
+        $app.logger().error("Error fetching the store currency:", err, "store", store.id);
+        errors.push({ "entity": "store", "store": store.id, "message": errorMessage(err) });
+        return "";
+    }
+}
+
+// The default store keeps the cursors of the time before several stores were supported.
+function cursorKey(entity, options) {
+    if (options.isDefaultStore) {
+        return entity.name;
+    }
+    return `${entity.name}:${options.store.id}` + (options.store.testMode ? ":test" : "");
+}
+
+// The mode of the rows to reconcile: the store's own, or else the one of the fetched items (an API
+// key only sees one mode). null when it can't be told, so no row of the other mode is touched.
+function reconcileMode(store, items) {
+    if (typeof store.testMode === "boolean") {
+        return store.testMode;
+    }
+    const modes = Array.from(new Set(items.map((item) => item.attributes?.test_mode === true)));
+    return modes.length === 1 ? modes[0] : null;
+}
+
+// Selects the live rows of the store and mode being synchronized.
+function reconcileQuery(entity, store, isDefaultStore, testMode) {
+    const filter = `(${entity.reconcileFilter}) && (store_id = {:store}` + (isDefaultStore ? " || store_id = '')" : ")") +
+        " && test_mode = {:testMode}";
+    return { filter, "params": { "store": store.id, "testMode": testMode } };
+}
+
+function errorMessage(err) {
+    return err.message || String(err);
+}
+
+/**
+ * Saves the changed records of one entity, reconciles the rows missing upstream and moves the
+ * entity's cursor. Nothing is written when options.dryRun is set.
+ */
+function syncEntity(client, entity, options, counts, report, errors) {
+    const records = require(`${__hooks}/lemonsqueezy/records.js`);
+    const store = options.store;
+    if (!counts[entity.name]) {
+        counts[entity.name] = { "fetched": 0, "created": 0, "updated": 0, "unchanged": 0, "deactivated": 0, "failed": 0 };
+        report.created[entity.name] = [];
+        report.updated[entity.name] = [];
+        report.deactivated[entity.name] = [];
+    }
+    const entityCounts = counts[entity.name];
+    const failedBefore = entityCounts.failed;
+
+    const cursor = options.full ? 0 : readCursor(cursorKey(entity, options));
+
+    let items;
+    try {
+        items = entity.fetch
+            ? entity.fetch(client, store)
+            : client.list(entity.path, Object.assign({ "filter[store_id]": store.id }, entity.query)).data;
+    } catch (err) {
+        $app.logger().error(`Error fetching ${entity.name}s:`, err, "store", store.id);
+        errors.push({ "entity": entity.name, "store": store.id, "message": errorMessage(err) });
+        return;
+    }
+
+    entityCounts.fetched += items.length;
+    let highWaterMark = cursor;
+    let highWaterMarkValue = "";
+    items.forEach((item) => {
+        const updatedAt = updatedAtSeconds(item);
+        if (updatedAt > highWaterMark) {
+            highWaterMark = updatedAt;
+            highWaterMarkValue = item.attributes.updated_at;
+        }
+
+        // Records updated in the same second as the cursor are saved again, so nothing
+        // changed right after the previous run is missed.
+        if (cursor > 0 && updatedAt > 0 && updatedAt < cursor) {
+            entityCounts.unchanged++;
+            return;
+        }
+
+        try {
+            const result = entity.upsert(records, item, {
+                "dryRun": options.dryRun,
+                "currency": options.currency,
+                "storeId": store.id,
+                "testMode": store.testMode
+            });
+            if (result.created) {
+                entityCounts.created++;
+                report.created[entity.name].push(String(item.id));
+            } else if (result.changes.length > 0) {
+                entityCounts.updated++;
+                report.updated[entity.name].push({ "id": String(item.id), "fields": result.changes });
+            } else {
+                entityCounts.unchanged++;
+            }
+        } catch (err) {
+            $app.logger().error(`Error processing ${entity.name}:`, err);
+            entityCounts.failed++;
+            errors.push({ "entity": entity.name, "store": store.id, "id": item.id, "message": errorMessage(err) });
+        }
+    });
+
+    // The list above is complete, so every live local row that isn't in it was deleted upstream.
+    const upstreamIds = new Set(items.map((item) => String(item.id)));
+    const testMode = reconcileMode(store, items);
+    let live = [];
+    if (entity.reconcileFilter && testMode !== null) {
+        const query = reconcileQuery(entity, store, options.isDefaultStore, testMode);
+        live = $app.findRecordsByFilter(entity.name, query.filter, "", 0, 0, query.params);
+    }
+    live.forEach((record) => {
+        const id = record.getString(entity.idField);
+        if (upstreamIds.has(id)) {
+            return;
+        }
+
+        entityCounts.deactivated++;
+        report.deactivated[entity.name].push(id);
+        if (options.dryRun) {
+            return;
+        }
+
+        try {
+            record.load(entity.reconcileData);
+            $app.save(record);
+            // Invoices, products and the like have no user_id or organisation_id, so they read "".
+            if (record.getString("user_id")) {
+                options.touched.users.add(record.getString("user_id"));
+            }
+            if (record.getString("organisation_id")) {
+                options.touched.organisations.add(record.getString("organisation_id"));
+            }
+        } catch (err) {
+            $app.logger().error(`Error reconciling ${entity.name}:`, err);
+            entityCounts.failed++;
+            errors.push({ "entity": entity.name, "store": store.id, "id": id, "message": errorMessage(err) });
+        }
+    });
+
+    // Keep the old cursor when a record failed, so the next run tries it again.
+    if (!options.dryRun && entityCounts.failed === failedBefore && highWaterMarkValue) {
+        writeCursor(cursorKey(entity, options), highWaterMarkValue);
+    }
+}
+
+/**
+ * Synchronizes every entity of every configured store, each store with its own API key.
+ */
+function syncStores(options, counts, report, errors) {
+    const lemonsqueezy = require(`${__hooks}/lemonsqueezy/client.js`);
+    require(`${__hooks}/lemonsqueezy/config.js`).load().stores.forEach((store, index) => {
+        const client = lemonsqueezy.createClient({ "apiKey": store.apiKey });
+        const storeOptions = Object.assign({}, options, {
+            "store": store,
+            "isDefaultStore": index === 0,
+            "currency": storeCurrency(client, store, errors)
+        });
+        ENTITIES.forEach((entity) => syncEntity(client, entity, storeOptions, counts, report, errors));
+    });
+}
+
+/**
+ * Runs a synchronization and returns its summary.
+ *
+ * options.trigger - "manual" or "cron", stored on the sync_run record
+ * options.full    - ignore the stored cursors and compare every record
+ * options.dryRun  - return the diff report without writing anything
+ */
+function run(options) {
+    const trigger = options?.trigger || "manual";
+    const full = options?.full || false;
+    const dryRun = options?.dryRun || false;
+
+    const counts = {};
+    const report = { "created": {}, "updated": {}, "deactivated": {} };
+    const errors = [];
+
+    if (dryRun) {
+        syncStores({ full, dryRun }, counts, report, errors);
+        return Object.assign({ "dry_run": true, "full": full, "counts": counts, "errors": errors }, report);
+    }
+
+    const lock = require(`${__hooks}/lemonsqueezy/lock.js`);
+    const token = lock.acquire(LOCK_KEY, LOCK_TIMEOUT);
+    if (!token) {
+        const skipped = createRun(trigger, full, "skipped");
+        errors.push({ "message": "Another synchronization is already running" });
+        finishRun(skipped, "skipped", counts, errors);
+        $app.logger().info("Skipped sync, another run holds the lock", "lemonsqueezy", trigger);
+        return summary(skipped, counts, errors);
+    }
+
+    let runRecord = null;
+    try {
+        // Created inside the try, so a failed save still releases the lock.
+        runRecord = createRun(trigger, full, "running");
+        const touched = { "users": new Set(), "organisations": new Set() };
+        syncStores({ full, dryRun, touched }, counts, report, errors);
+
+        try {
+            const refreshed = require(`${__hooks}/lemonsqueezy/entitlements.js`).refreshUsers(touched.users, touched.organisations);
+            counts["user"] = { "refreshed": refreshed };
+        } catch (err) {
+            $app.logger().error("Error refreshing user entitlements:", err);
+            errors.push({ "entity": "user", "message": errorMessage(err) });
+        }
+
+        const failedEverything = ENTITIES.every((entity) => errors.some((error) => error.entity === entity.name && !error.id));
+        const status = errors.length === 0 ? "success" : (failedEverything ? "failed" : "partial");
+        finishRun(runRecord, status, counts, errors);
+        $app.logger().info("Ran sync", "lemonsqueezy", status, "trigger", trigger, "counts", counts);
+    } catch (err) {
+        if (!runRecord) {
+            // Without a sync_run there is nothing to record the failure on.
+            throw err;
+        }
+        errors.push({ "message": errorMessage(err) });
+        finishRun(runRecord, "failed", counts, errors);
+        $app.logger().error("Error during synchronization:", err);
+    } finally {
+        lock.release(LOCK_KEY, token);
+    }
+
+    return summary(runRecord, counts, errors);
+}
+
+module.exports = {
+    run
+};
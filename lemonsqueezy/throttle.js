@@ -0,0 +1,38 @@
+/**
+ * A fixed-window request counter kept in the app store, used to throttle routes that call the
+ * LemonSqueezy API on behalf of the caller, so they can't be used to exhaust the API quota, and
+ * routes that could be used to guess secrets such as discount codes.
+ *
+ *   const throttle = require(`${__hooks}/lemonsqueezy/throttle.js`);
+ *   const result = throttle.hit(`sync:${e.realIP()}`, 5, 15 * 60);
+ *   if (!result.allowed) { ... result.retryAfter ... }
+ */
+
+const KEY_PREFIX = "lemonsqueezy.throttle.";
+
+/**
+ * Counts a request for `key` and returns `{ allowed, remaining, retryAfter }`, where retryAfter
+ * is the number of seconds until the current window of `windowSeconds` ends.
+ */
+function hit(key, limit, windowSeconds) {
+    const store = $app.store();
+    const storeKey = KEY_PREFIX + key;
+    const now = Date.now();
+
+    let window = store.get(storeKey) ? JSON.parse(store.get(storeKey)) : null;
+    if (!window || window.resetAt <= now) {
+        window = { "count": 0, "resetAt": now + windowSeconds * 1000 };
+    }
+    window.count++;
+    store.set(storeKey, JSON.stringify(window));
+
+    return {
+        "allowed": window.count <= limit,
+        "remaining": Math.max(limit - window.count, 0),
+        "retryAfter": Math.ceil((window.resetAt - now) / 1000)
+    };
+}
+
+module.exports = {
+    hit
+};
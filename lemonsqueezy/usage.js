@@ -0,0 +1,292 @@
+/**
+ * Usage-based billing: reports the usage_event records written by the app to LemonSqueezy.
+ *
+ * report() runs on a schedule (main.pb.js) in two steps:
+ * 1. Unreported events are grouped per subscription item into a usage_report record. Events and
+ *    report are written in one transaction, so every event is counted in exactly one report.
+ * 2. Pending reports are submitted to /v1/usage-records as an increment. Failures are retried
+ *    with an exponential backoff. A report whose last attempt may have reached LemonSqueezy
+ *    (network errors and 5xx responses) is first looked up among the item's usage records, so a
+ *    retry never counts the same usage twice. Rejected reports (4xx) are marked "failed", like
+ *    reports that ran out of attempts, and logged as errors. forUser() lists their usage as
+ *    `failed_quantity`, apart from the reported and pending usage.
+ *
+ *   require(`${__hooks}/lemonsqueezy/usage.js`).report();
+ */
+
+const LOCK_KEY = "usage";
+// A lock older than this belongs to a run that died without releasing it.
+const LOCK_TIMEOUT = 30 * 60; // seconds
+const MAX_ATTEMPTS = 10;
+const BASE_BACKOFF = 60; // seconds, doubled after every failed attempt
+// How far the clocks of PocketBase and LemonSqueezy may differ when matching an earlier attempt.
+const CLOCK_SKEW = 5 * 60; // seconds
+
+// Returns the subscription item of the event, looking it up through the subscription when needed.
+function subscriptionItemId(app, event) {
+    if (event.getString("subscription_item_id")) {
+        return event.getString("subscription_item_id");
+    }
+    const found = app.findRecordsByFilter("subscription", "subscription_id = {:id}", "", 1, 0, { "id": event.getString("subscription_id") });
+    return found.length > 0 ? found[0].getString("subscription_item_id") : "";
+}
+
+/**
+ * Groups the unreported events into one pending usage_report per subscription item and
+ * returns the number of reports created.
+ */
+function aggregate() {
+    let created = 0;
+
+    $app.runInTransaction((txApp) => {
+        const groups = {};
+        txApp.findRecordsByFilter("usage_event", "usage_report = ''", "occurred_at", 0, 0).forEach((event) => {
+            const itemId = subscriptionItemId(txApp, event);
+            if (!itemId) {
+                // The subscription isn't synchronized yet; the event is picked up by a later run.
+                return;
+            }
+            (groups[itemId] || (groups[itemId] = [])).push(event);
+        });
+
+        Object.keys(groups).forEach((itemId) => {
+            const events = groups[itemId];
+            const report = new Record(txApp.findCollectionByNameOrId("usage_report"));
+            report.load({
+                "subscription_item_id": itemId,
+                "subscription_id": events[0].getString("subscription_id"),
+                "quantity": events.reduce((total, event) => total + event.getInt("quantity"), 0),
+                "events": events.length,
+                "status": "pending",
+                "attempts": 0
+            });
+            txApp.save(report);
+
+            events.forEach((event) => {
+                event.load({
+                    "subscription_item_id": itemId,
+                    "usage_report": report.id
+                });
+                txApp.save(event);
+            });
+            created++;
+        });
+    });
+
+    return created;
+}
+
+/**
+ * Returns the id of a usage record of the report's item that matches its quantity and was created
+ * around the report's last attempt, or "" when LemonSqueezy never received it.
+ */
+function findSubmitted(client, report) {
+    const attemptedAt = report.getDateTime("attempted_at").unix();
+    const records = client.list("/v1/usage-records", { "filter[subscription_item_id]": report.getString("subscription_item_id") }).data;
+
+    const match = records.find((record) => {
+        const createdAt = new DateTime(record.attributes.created_at).unix();
+        if (record.attributes.quantity !== report.getInt("quantity") || createdAt < attemptedAt - CLOCK_SKEW) {
+            return false;
+        }
+        // Another report may already have claimed the same usage record.
+        return $app.findRecordsByFilter("usage_report", "usage_record_id = {:id}", "", 1, 0, { "id": String(record.id) }).length === 0;
+    });
+    return match ? String(match.id) : "";
+}
+
+function markSubmitted(report, usageRecordId) {
+    report.load({
+        "status": "submitted",
+        "usage_record_id": usageRecordId,
+        "error": "",
+        "submitted_at": new Date().toISOString()
+    });
+    $app.save(report);
+}
+
+function submit(client, report) {
+    const lemonsqueezy = require(`${__hooks}/lemonsqueezy/client.js`);
+
+    if (report.getBool("uncertain")) {
+        let usageRecordId;
+        try {
+            usageRecordId = findSubmitted(client, report);
+        } catch (err) {
+            // Without knowing whether the earlier attempt went through, don't submit again yet.
+            $app.logger().error("Error looking up usage records:", err, "report", report.id);
+            return "retrying";
+        }
+        if (usageRecordId) {
+            markSubmitted(report, usageRecordId);
+            return "submitted";
+        }
+    }
+
+    const attempts = report.getInt("attempts") + 1;
+    report.load({
+        "attempts": attempts,
+        "attempted_at": new Date().toISOString()
+    });
+    $app.save(report);
+
+    try {
+        const response = client.post("/v1/usage-records", {
+            "data": {
+                "type": "usage-records",
+                "attributes": {
+                    "quantity": report.getInt("quantity"),
+                    "action": "increment"
+                },
+                "relationships": {
+                    "subscription-item": {
+                        "data": {
+                            "type": "subscription-items",
+                            "id": report.getString("subscription_item_id")
+                        }
+                    }
+                }
+            }
+        });
+        markSubmitted(report, String(response.data.id));
+        return "submitted";
+    } catch (err) {
+        $app.logger().error("Error submitting usage report:", err, "report", report.id);
+
+        const rejected = err instanceof lemonsqueezy.LemonSqueezyValidationError ||
+            err instanceof lemonsqueezy.LemonSqueezyNotFoundError ||
+            err instanceof lemonsqueezy.LemonSqueezyAuthError;
+        const uncertain = err instanceof lemonsqueezy.LemonSqueezyNetworkError || err instanceof lemonsqueezy.LemonSqueezyServerError;
+        const failed = rejected || attempts >= MAX_ATTEMPTS;
+
+        report.load({
+            "status": failed ? "failed" : "pending",
+            "error": err.message || String(err),
+            "uncertain": report.getBool("uncertain") || uncertain,
+            "next_attempt_at": failed ? "" : new Date(Date.now() + BASE_BACKOFF * Math.pow(2, attempts - 1) * 1000).toISOString()
+        });
+        $app.save(report);
+        if (failed) {
+            // The usage won't reach LemonSqueezy without help, so it's logged apart from the retries.
+            $app.logger().error(
+                "Usage report failed for good, the usage isn't billed",
+                "report", report.id,
+                "subscription", report.getString("subscription_id"),
+                "quantity", report.getInt("quantity"),
+                "error", err.message || String(err)
+            );
+        }
+        return failed ? "failed" : "retrying";
+    }
+}
+
+// Usage is reported with the key of the store the subscription belongs to.
+function subscriptionClient(subscriptionId) {
+    const found = $app.findRecordsByFilter("subscription", "subscription_id = {:id}", "", 1, 0, { "id": subscriptionId });
+    const subscription = found.length > 0 ? found[0] : null;
+    return require(`${__hooks}/lemonsqueezy/client.js`).createClient(subscription
+        ? { "storeId": subscription.getString("store_id"), "testMode": subscription.getBool("test_mode") }
+        : {});
+}
+
+/**
+ * Aggregates and submits the usage, and returns the counts of the run. Runs that start while
+ * another one is still going do nothing.
+ */
+function report() {
+    const counts = { "reports_created": 0, "submitted": 0, "retrying": 0, "failed": 0 };
+
+    const lock = require(`${__hooks}/lemonsqueezy/lock.js`);
+    const token = lock.acquire(LOCK_KEY, LOCK_TIMEOUT);
+    if (!token) {
+        $app.logger().info("Skipped usage reporting, another run holds the lock");
+        return counts;
+    }
+
+    try {
+        counts.reports_created = aggregate();
+
+        const due = $app.findRecordsByFilter(
+            "usage_report",
+            "status = 'pending' && (next_attempt_at = '' || next_attempt_at <= {:now})",
+            "created", 0, 0,
+            { "now": new Date().toISOString().replace("T", " ") }
+        );
+        due.forEach((usageReport) => {
+            counts[submit(subscriptionClient(usageReport.getString("subscription_id")), usageReport)]++;
+        });
+
+        $app.logger().info("Reported usage", "lemonsqueezy", "counts", counts);
+    } finally {
+        lock.release(LOCK_KEY, token);
+    }
+
+    return counts;
+}
+
+/**
+ * Returns the current period's usage of the user's metered subscriptions: the quantity
+ * LemonSqueezy has already received plus the quantity still waiting to be reported.
+ */
+function forUser(userId) {
+    const lemonsqueezy = require(`${__hooks}/lemonsqueezy/client.js`);
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`);
+
+    const subscriptions = entitlements.findSubscriptions(userId).filter((subscription) =>
+        subscription.getString("subscription_item_id") &&
+        !subscription.getBool("orphaned") &&
+        subscription.getString("status") !== "expired"
+    );
+
+    const usage = [];
+    subscriptions.forEach((subscription) => {
+        const itemId = subscription.getString("subscription_item_id");
+        const params = { "item": itemId, "subscription": subscription.getString("subscription_id") };
+        const sumEvents = (filter) => $app.findRecordsByFilter(
+            "usage_event",
+            `(subscription_item_id = {:item} || subscription_id = {:subscription}) && ${filter}`,
+            "", 0, 0,
+            params
+        ).reduce((total, event) => total + event.getInt("quantity"), 0);
+        const unreported = sumEvents("(usage_report = '' || usage_report.status = 'pending')");
+
+        let current = null;
+        let error = "";
+        try {
+            const client = lemonsqueezy.createClient({ "storeId": subscription.getString("store_id"), "testMode": subscription.getBool("test_mode") });
+            current = client.get(`/v1/subscription-items/${itemId}/current-usage`).meta;
+        } catch (err) {
+            // Items without usage-based billing have no current usage.
+            const notMetered = err instanceof lemonsqueezy.LemonSqueezyValidationError || err instanceof lemonsqueezy.LemonSqueezyNotFoundError;
+            if (notMetered && unreported === 0) {
+                return;
+            }
+            error = notMetered ? "The subscription isn't billed by usage." : "The reported usage is unavailable right now.";
+        }
+
+        // Usage LemonSqueezy rejected, or that ran out of retries, in the current period when it's known.
+        if (current?.period_start) {
+            params["since"] = new Date(current.period_start).toISOString().replace("T", " ");
+        }
+        const failed = sumEvents("usage_report.status = 'failed'" + (params["since"] ? " && created >= {:since}" : ""));
+
+        usage.push({
+            "subscription_id": subscription.getString("subscription_id"),
+            "subscription_item_id": itemId,
+            "period_start": current?.period_start || null,
+            "period_end": current?.period_end || null,
+            "reported_quantity": current?.quantity || 0,
+            "pending_quantity": unreported,
+            "failed_quantity": failed,
+            "quantity": (current?.quantity || 0) + unreported,
+            "error": error
+        });
+    });
+
+    return { "subscriptions": usage };
+}
+
+module.exports = {
+    report,
+    forUser
+};
@@ -16,31 +16,40 @@
  * - subscription  
  * - product
  * - variant
+ * - lemonsqueezy_settings
  * 
  * Steps to get the code up and running:
  * 
- * 1. Replace the secret:
- *    - Locate the line in the "/lemonsqueezy" route handler where the secret is defined:
- *      ```javascript
- *      const secret = "your_lemonsqueezy_signing_secret_here";
- *      ```
- *    - Replace "your_lemonsqueezy_signing_secret_here" with your actual secret key that is used to verify the webhook signature.
+ * 1. Copy this file and the lemonsqueezy folder into your pb_hooks directory.
  * 
- * 2. Replace the API key for each function:
- *    - Identify all instances where the API key is used in the code. These are typically found in HTTP request headers.
- *    - For example, in the "/create-portal-link" route handler, the API key is defined as:
- *      ```javascript
- *      const apiKey = "your_api_key_here";
- *      ```
- *    - Replace "your_api_key_here" with your actual LemonSqueezy API key.
- *    - Ensure that the API key is updated in all relevant functions, such as those handling checkouts, subscriptions, and product synchronizations.
+ * 2. Configure your LemonSqueezy credentials through environment variables:
+ *    - LEMONSQUEEZY_API_KEY: your LemonSqueezy API key, used for checkouts, customers and synchronization.
+ *    - LEMONSQUEEZY_WEBHOOK_SECRET: the signing secret used to verify the webhook signature.
+ *    - LEMONSQUEEZY_STORE_ID: the id of the store that customers and checkouts are created in.
+ *    A superuser can override any of these values in the lemonsqueezy_settings collection instead.
  * 
- * By following these steps, you will configure the application to authenticate requests and interact with the LemonSqueezy API using your credentials.
+ * The hooks refuse to start while any of these values is missing or still holds a placeholder; set
+ * them in the environment to start the server.
  */
 
+// Refuse to start until the LemonSqueezy credentials are configured.
+require(`${__hooks}/lemonsqueezy/config.js`).assertConfigured();
+
+// Pick up changes to the settings record without a restart.
+onModelAfterCreate((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+}, "lemonsqueezy_settings");
+
+onModelAfterUpdate((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+}, "lemonsqueezy_settings");
+
+onModelAfterDelete((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+}, "lemonsqueezy_settings");
 
 routerAdd("POST", "/lemonsqueezy", (c) => {
-    const secret = "your_lemonsqueezy_signing_secret_here";
+    const secret = require(`${__hooks}/lemonsqueezy/config.js`).load().webhookSecret;
 
     const info = $apis.requestInfo(c)
     const signature = info.headers["x_signature"] || '';
@@ -106,7 +115,8 @@ routerAdd("POST", "/lemonsqueezy", (c) => {
 
 
 routerAdd("POST", "/create-checkout-session", async (c) => {
-    const apiKey = "your_api_key_here";
+    const config = require(`${__hooks}/lemonsqueezy/config.js`).load();
+    const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient();
     const info = $apis.requestInfo(c);
     const token = info.headers["authorization"] || '';
     let userRecord;
@@ -128,35 +138,23 @@ routerAdd("POST", "/create-checkout-session", async (c) => {
     if (existingCustomer.length > 0) {
         lemonsqueezyCustomerId = existingCustomer[0].getString("lemonsqueezy_customer_id");
     } else {
-        const customerResponse = await $http.send({
-            url: "https://api.lemonsqueezy.com/v1/customers",
-            method: "POST",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                "data": {
-                    "type": "customers",
-                    "attributes": {
-                        "name": userRecord.getString("displayName"),
-                        "email": userRecord.getString("email"),
-                        
-                    },
-                    "relationships": {
-                        "store": {
-                          "data": {
+        const customerData = client.post("/v1/customers", {
+            "data": {
+                "type": "customers",
+                "attributes": {
+                    "name": userRecord.getString("displayName"),
+                    "email": userRecord.getString("email")
+                },
+                "relationships": {
+                    "store": {
+                        "data": {
                             "type": "stores",
-                            "id": "116661"
-                          }
+                            "id": config.storeId
                         }
-                      }
+                    }
                 }
-            })
+            }
         });
-        
-        const customerData = customerResponse.json;
         lemonsqueezyCustomerId = customerData.data.id;
 
         
@@ -197,7 +195,7 @@ routerAdd("POST", "/create-checkout-session", async (c) => {
                 "store": {
                     "data": {
                       "type": "stores",
-                      "id": "116661"
+                      "id": config.storeId
                     }
                   }
             }
@@ -205,19 +203,8 @@ routerAdd("POST", "/create-checkout-session", async (c) => {
     };
 
     try {
-        const response = await $http.send({
-            url: "https://api.lemonsqueezy.com/v1/checkouts",
-            method: "POST",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        const responseData = response.json;
-        return c.json(response.status, responseData);
+        const responseData = client.post("/v1/checkouts", requestBody);
+        return c.json(200, responseData);
     } catch (error) {
         $app.logger().error("Error creating checkout:", error);
         return c.json(400, { "message": "Failed to create checkout" });
@@ -225,7 +212,7 @@ routerAdd("POST", "/create-checkout-session", async (c) => {
 })
 
 routerAdd("GET", "/create-portal-link", async (c) => {
-    const apiKey = "your_api_key_here"; // Provided API key
+    const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient();
     const info = $apis.requestInfo(c);
     const token = info.headers["authorization"] || '';
     let userRecord;
@@ -240,20 +227,10 @@ routerAdd("GET", "/create-portal-link", async (c) => {
             return c.json(404, { "message": "Customer not found" });
         }
         
-        const response = await $http.send({
-            url: `https://api.lemonsqueezy.com/v1/customers/${customerRecord.get('lemonsqueezy_customer_id')}`,
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            }
-        });
-
-        const responseData = response.json;
+        const responseData = client.get(`/v1/customers/${customerRecord.get('lemonsqueezy_customer_id')}`);
         const customerPortalLink = responseData.data.attributes.urls.customer_portal;
 
-        return c.json(response.status, { "customer_portal_link": customerPortalLink });
+        return c.json(200, { "customer_portal_link": customerPortalLink });
     } catch (error) {
         $app.logger().error("Error retrieving customer portal link:", error);
         return c.json(400, { "message": "Failed to retrieve customer portal link" });
@@ -425,22 +402,25 @@ routerAdd("GET", "/create-portal-link", async (c) => {
 //     }
 // });
 
-routerAdd("GET","/manual-lemonsqueezy-synchronization", async (c) => {
-    const apiKey = "your_api_key_here";
+// Only admins and users with role "Admin" may start a synchronization, and every IP address
+// is limited to 5 runs per 15 minutes so the route can't be used to exhaust the API quota.
+routerAdd("POST", "/manual-lemonsqueezy-synchronization", async (c) => {
+    const admin = c.get("admin");
+    const authRecord = c.get("authRecord");
+    if (!admin && authRecord?.getString("role") !== "Admin") {
+        throw new ForbiddenError("Only admins can run the LemonSqueezy synchronization.");
+    }
 
-    try {
-        const subscriptionsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/subscriptions",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
+    const throttle = require(`${__hooks}/lemonsqueezy/throttle.js`).hit(`sync:${c.realIP()}`, 5, 15 * 60);
+    if (!throttle.allowed) {
+        c.response().header().set("Retry-After", String(throttle.retryAfter));
+        throw new ApiError(429, `Too many synchronization requests, try again in ${throttle.retryAfter} seconds.`);
+    }
+
+    const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient();
 
-        const subscriptionsData = subscriptionsRes.json;
+    try {
+        const subscriptionsData = client.list("/v1/subscriptions");
 
         subscriptionsData.data.forEach(subscription => {
             try {
@@ -482,18 +462,7 @@ routerAdd("GET","/manual-lemonsqueezy-synchronization", async (c) => {
             }
         });
 
-        const variantsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/variants",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
-
-        const variantsData = variantsRes.json;
+        const variantsData = client.list("/v1/variants");
 
         variantsData.data.forEach(variant => {
             try {
@@ -532,18 +501,7 @@ routerAdd("GET","/manual-lemonsqueezy-synchronization", async (c) => {
             }
         });
 
-        const productsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/products",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
-
-        const productsData = productsRes.json;
+        const productsData = client.list("/v1/products");
 
         productsData.data.forEach(product => {
             try {
@@ -583,4 +541,4 @@ routerAdd("GET","/manual-lemonsqueezy-synchronization", async (c) => {
         $app.logger().error("Error during synchronization:", error);
         return c.json(400, { "message": error });
     }
-})
\ No newline at end of file
+}, $apis.requireAdminOrRecordAuth("user"))
\ No newline at end of file
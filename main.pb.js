@@ -2,10 +2,26 @@
  * This code defines a route handler for the POST request to the "/lemonsqueezy" endpoint.
  * It verifies the webhook signature using a secret key to ensure the request's authenticity.
  * If the signature is valid, it processes the incoming data based on the event type specified
- * in the webhook payload. The supported events include "subscription_created", "subscription_cancelled",
- * and "subscription_payment_success". For each event, it retrieves the subscription data and checks
- * if a record with the same subscription ID already exists in the database. If it does, the existing
- * record is updated with the new subscription data. If not, a new record is created and saved.
+ * in the webhook payload. The supported events are:
+ * - subscription_created, subscription_updated, subscription_cancelled, subscription_resumed,
+ *   subscription_expired, subscription_paused and subscription_unpaused
+ * - subscription_payment_success, subscription_payment_failed and subscription_payment_recovered
+ * - order_created and order_refunded
+ * - license_key_created and license_key_updated
+ * For each event, it retrieves the subscription, invoice or order data and checks if a record with
+ * the same ID already exists in the database. If it does, the existing record is updated with the new
+ * data. If not, a new record is created and saved. Payment events are stored in subscription_invoice and
+ * move the subscription in and out of "past_due". Refunded orders are marked inactive so the one-time
+ * purchase no longer grants access.
+ * Every delivery is logged in webhook_event by the hash of its payload. Retried deliveries of a payload
+ * that was already processed are skipped, and events older than the stored record's
+ * lemonsqueezy_updated_at are skipped instead of overwriting newer data.
+ * Subscriptions and orders are linked to a PocketBase user through their user_id relation. The user is
+ * taken from meta.custom_data.user_id (set by /create-checkout-session), then from an already linked
+ * customer record, and finally by matching the customer email against the verified users.
+ * With several stores configured (LEMONSQUEEZY_STORES), the payload's store_id and meta.test_mode select
+ * the stores a webhook may come from, and the signature is checked against their secrets. Every stored
+ * record keeps its store_id and test_mode.
  * The code also logs the received event name for monitoring purposes.
  */
 
@@ -14,97 +30,295 @@
  * Create a file named pb_schema.json in your project root and import the following collections:
  * - customer
  * - subscription  
+ * - subscription_invoice
+ * - order
+ * - webhook_event
  * - product
  * - variant
+ * - lemonsqueezy_settings
+ * - sync_run
+ * - sync_cursor
+ * - organisation
+ * - license_key
+ * - license_instance
+ * - usage_event
+ * - usage_report
+ * - discount
+ * - email_template
+ * - email_notification
+ * - outbound_event
  * 
  * Steps to get the code up and running:
  * 
- * 1. Replace the secret:
- *    - Locate the line in the "/lemonsqueezy" route handler where the secret is defined:
- *      ```javascript
- *      const secret = "your_lemonsqueezy_signing_secret_here";
- *      ```
- *    - Replace "your_lemonsqueezy_signing_secret_here" with your actual secret key that is used to verify the webhook signature.
+ * 1. Copy this file and the lemonsqueezy folder into your pb_hooks directory.
  * 
- * 2. Replace the API key for each function:
- *    - Identify all instances where the API key is used in the code. These are typically found in HTTP request headers.
- *    - For example, in the "/create-portal-link" route handler, the API key is defined as:
- *      ```javascript
- *      const apiKey = "your_api_key_here";
- *      ```
- *    - Replace "your_api_key_here" with your actual LemonSqueezy API key.
- *    - Ensure that the API key is updated in all relevant functions, such as those handling checkouts, subscriptions, and product synchronizations.
+ * 2. Configure your LemonSqueezy credentials through environment variables:
+ *    - LEMONSQUEEZY_API_KEY: your LemonSqueezy API key, used for checkouts, customers and synchronization.
+ *    - LEMONSQUEEZY_WEBHOOK_SECRET: the signing secret used to verify the webhook signature.
+ *    - LEMONSQUEEZY_STORE_ID: the id of the store that customers and checkouts are created in.
+ *    - LEMONSQUEEZY_STORES: instead of the three values above, a JSON list of stores with their own
+ *      store_id, api_key, webhook_secret and optional test_mode (see lemonsqueezy/config.js).
+ *    A superuser can override any of these values in the lemonsqueezy_settings collection instead.
  * 
- * By following these steps, you will configure the application to authenticate requests and interact with the LemonSqueezy API using your credentials.
+ * The hooks refuse to start while any of these values is missing or still holds a placeholder; set
+ * them in the environment to start the server. If the settings record loses a value later, the billing
+ * routes answer 503 and the LemonSqueezy cron jobs skip their runs until it's fixed.
+ *
+ * PocketBase runs every handler in its own runtime, which doesn't see the variables of this file, so
+ * the handlers below load the modules of the lemonsqueezy folder themselves:
+ *   require(`${__hooks}/lemonsqueezy/sync.js`).run({ "trigger": "manual", "full": false });
  */
 
+// Refuse to start until the LemonSqueezy credentials are configured.
+require(`${__hooks}/lemonsqueezy/config.js`).assertConfigured();
+
+// Pick up changes to the settings record without a restart. The price list depends on
+// test_mode_entitlements, so it's rebuilt as well.
+onRecordAfterCreateSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "lemonsqueezy_settings");
+
+onRecordAfterUpdateSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "lemonsqueezy_settings");
+
+onRecordAfterDeleteSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).clearCache();
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "lemonsqueezy_settings");
+
+// Keep the LemonSqueezy customers of a user in line with their name and email.
+onRecordAfterUpdateSuccess((e) => {
+    const original = e.record.original();
+    if (original.getString("email") !== e.record.getString("email") ||
+        original.getString("displayName") !== e.record.getString("displayName")) {
+        require(`${__hooks}/lemonsqueezy/customers.js`).syncUser(e.record);
+    }
+    e.next();
+}, "user");
+
+// The user who creates an organisation becomes its only admin, so nobody can be made the admin
+// of an organisation they didn't create. Superusers may set the admins freely.
+onRecordCreateRequest((e) => {
+    if (e.auth && e.auth.collection().name === "user") {
+        e.record.set("admins", [e.auth.id]);
+    }
+    require(`${__hooks}/lemonsqueezy/organisations.js`).assertSeats(e.record);
+    e.next();
+}, "organisation");
+
+// A team plan caps the number of members at its seat quantity.
+onRecordUpdateRequest((e) => {
+    require(`${__hooks}/lemonsqueezy/organisations.js`).assertSeats(e.record);
+    e.next();
+}, "organisation");
+
+// Members inherit the organisation's entitlements, so refresh everyone who joined or left.
+onRecordAfterUpdateSuccess((e) => {
+    const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`);
+    const userIds = new Set(organisations.memberIds(e.record.original()).concat(organisations.memberIds(e.record)));
+    userIds.forEach((userId) => entitlements.refreshUser(userId));
+    e.next();
+}, "organisation");
+
+// Rebuild the cached price list after the synchronization or a superuser changes it.
+onRecordAfterCreateSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "product", "variant");
+
+onRecordAfterUpdateSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "product", "variant");
+
+onRecordAfterDeleteSuccess((e) => {
+    require(`${__hooks}/lemonsqueezy/pricing.js`).clearCache();
+    e.next();
+}, "product", "variant");
+
+// Only users with a paid plan may create or update records of the gated collections
+// (LEMONSQUEEZY_GATED_COLLECTIONS). The hooks run for every collection and read the list on
+// each request, so changing it in lemonsqueezy_settings applies without a restart.
+onRecordCreateRequest((e) => {
+    require(`${__hooks}/lemonsqueezy/entitlements.js`).assertCanWrite(e);
+    e.next();
+});
+
+onRecordUpdateRequest((e) => {
+    require(`${__hooks}/lemonsqueezy/entitlements.js`).assertCanWrite(e);
+    e.next();
+});
+
 routerAdd("POST", "/lemonsqueezy", (e) => {
-    const secret = "your_lemonsqueezy_signing_secret_here";
+    const config = require(`${__hooks}/lemonsqueezy/config.js`);
+    config.requireConfigured();
 
     const info = e.requestInfo();
     const signature = info.headers["x_signature"] || '';
     const rawBody = readerToString(e.request.body);
+    const data = info.body;
 
-    const hash = $security.hs256(rawBody, secret);
-
-    const isValid = $security.equal(hash, signature);
-    if (!isValid) {
+    // Several stores can send webhooks here: the store id and test mode of the payload select the
+    // configured stores it may come from, and the store whose secret produced the signature wins.
+    const store = config.findStores(data?.data?.attributes?.store_id, data?.meta?.test_mode)
+        .find((candidate) => $security.equal($security.hs256(rawBody, candidate.webhookSecret), signature));
+    if (!store) {
         throw new BadRequestError(`Invalid webhook signature.`);
     }
-    const data = info.body;
+    const storeOptions = { "storeId": store.id, "testMode": data.meta?.test_mode === true };
     $app.logger().info("Received data:", "lemonsqueezy", data.meta.event_name, "json", data);
 
-    switch (data.meta.event_name) {
-        case "subscription_created":
-        case "subscription_cancelled":
-        case "subscription_updated":
-            try {
-                const subscription = data.data;
-                const existingSubscriptions = $app.findRecordsByFilter(
-                    "subscription",
-                    `subscription_id = "${subscription.id}"`
-                );
-
-                const subscriptionData = {
-                    "subscription_id": subscription.id,
-                    "lemonsqueezy_customer_id": subscription.attributes?.customer_id || "",
-                    "status": subscription.attributes?.status || "",
-                    "variant_id": subscription.attributes?.variant_id || "",
-                    "quantity": subscription.attributes?.first_subscription_item?.quantity || 0,
-                    "metadata": JSON.stringify({}),
-                    "cancel_at_period_end": subscription.attributes?.cancelled || false,
-                    "current_period_start": subscription.attributes?.created_at || "",
-                    "current_period_end": subscription.attributes?.renews_at || "",
-                    "ended_at": subscription.attributes?.ends_at || "",
-                    "cancel_at": "",
-                    "canceled_at": "",
-                    "trial_start": "",
-                    "trial_end": subscription.attributes?.trial_ends_at || ""
-                };
-
-                if (existingSubscriptions.length > 0) {
-                    const record = existingSubscriptions[0];
-                    record.load(subscriptionData);
-                    $app.save(record);
-                } else {
-                    const collection = $app.findCollectionByNameOrId("subscription");
-                    const record = new Record(collection);
-                    record.load(subscriptionData);
-                    $app.save(record);
+    // LemonSqueezy retries deliveries, so every payload is logged by its hash and
+    // a payload that was already processed (or deliberately skipped) is not applied twice.
+    const payloadHash = $security.sha256(rawBody);
+    const existingEvents = $app.findRecordsByFilter(
+        "webhook_event",
+        `payload_hash = "${payloadHash}"`
+    );
+
+    let eventRecord;
+    if (existingEvents.length > 0) {
+        eventRecord = existingEvents[0];
+        const previousStatus = eventRecord.getString("status");
+        if (previousStatus === "processed" || previousStatus === "skipped") {
+            $app.logger().info("Skipped duplicate webhook", "lemonsqueezy", data.meta.event_name, "payload_hash", payloadHash);
+            return e.json(200, { "message": "Duplicate event ignored" });
+        }
+    } else {
+        const collection = $app.findCollectionByNameOrId("webhook_event");
+        eventRecord = new Record(collection);
+    }
+
+    eventRecord.load({
+        "event_name": data.meta.event_name,
+        "payload_hash": payloadHash,
+        "resource_type": data.data?.type || "",
+        "resource_id": data.data?.id || "",
+        "store_id": store.id,
+        "test_mode": storeOptions.testMode,
+        "status": "received",
+        "error": "",
+        "payload": data,
+        "received_at": new Date().toISOString()
+    });
+    try {
+        $app.save(eventRecord);
+    } catch (err) {
+        // A concurrent delivery of the same payload may have won the unique payload_hash index.
+        const concurrent = $app.findRecordsByFilter("webhook_event", "payload_hash = {:hash}", "", 1, 0, { "hash": payloadHash });
+        if (concurrent.length > 0 && concurrent[0].id !== eventRecord.id) {
+            $app.logger().info("Skipped concurrent duplicate webhook", "lemonsqueezy", data.meta.event_name, "payload_hash", payloadHash);
+            return e.json(200, { "message": "Duplicate event ignored" });
+        }
+        // Any other failure answers 5xx, so LemonSqueezy retries the delivery.
+        $app.logger().error("Error logging webhook event:", err, "event", data.meta.event_name, "payload_hash", payloadHash);
+        return e.json(500, { "message": "Failed to record the webhook event" });
+    }
+
+    const records = require(`${__hooks}/lemonsqueezy/records.js`);
+    const notifications = require(`${__hooks}/lemonsqueezy/notifications.js`);
+    const customData = data.meta?.custom_data || {};
+
+    let eventStatus = "processed";
+    let eventNote = "";
+
+    try {
+        switch (data.meta.event_name) {
+            case "subscription_created":
+            case "subscription_cancelled":
+            case "subscription_updated":
+            case "subscription_resumed":
+            case "subscription_expired":
+            case "subscription_paused":
+            case "subscription_unpaused":
+                try {
+                    const result = records.upsertSubscription(data.data, customData, storeOptions);
+                    if (result.stale) {
+                        eventStatus = "skipped";
+                        eventNote = "Stale event: the stored subscription is newer";
+                    }
+                    notifications.subscriptionEvent(data.meta.event_name, result);
+                } catch (err) {
+                    $app.logger().error("Error processing subscription:", err);
+                    throw new BadRequestError("Failed to process subscription: " + err.message);
                 }
-            } catch (err) {
-                $app.logger().error("Error processing subscription:", err);
-                throw new BadRequestError("Failed to process subscription: " + err.message);
-            }
-            break;
-        default:
-            break;
+                break;
+            case "subscription_payment_success":
+            case "subscription_payment_failed":
+            case "subscription_payment_recovered":
+                try {
+                    const result = records.upsertInvoice(data.data, data.meta.event_name, storeOptions);
+                    if (result.stale) {
+                        eventStatus = "skipped";
+                        eventNote = "Stale event: the stored invoice is newer";
+                        break;
+                    }
+                    records.applyPaymentEvent(data.data, data.meta.event_name);
+                    if (data.meta.event_name === "subscription_payment_failed") {
+                        notifications.paymentFailed(result.record);
+                    }
+                } catch (err) {
+                    $app.logger().error("Error processing subscription invoice:", err);
+                    throw new BadRequestError("Failed to process subscription invoice: " + err.message);
+                }
+                break;
+            case "license_key_created":
+            case "license_key_updated":
+                try {
+                    const result = records.upsertLicenseKey(data.data, customData, storeOptions);
+                    if (result.stale) {
+                        eventStatus = "skipped";
+                        eventNote = "Stale event: the stored license key is newer";
+                    }
+                } catch (err) {
+                    $app.logger().error("Error processing license key:", err);
+                    throw new BadRequestError("Failed to process license key: " + err.message);
+                }
+                break;
+            case "order_created":
+            case "order_refunded":
+                try {
+                    const result = records.upsertOrder(data.data, customData, storeOptions);
+                    if (result.stale) {
+                        eventStatus = "skipped";
+                        eventNote = "Stale event: the stored order is newer";
+                    }
+                } catch (err) {
+                    $app.logger().error("Error processing order:", err);
+                    throw new BadRequestError("Failed to process order: " + err.message);
+                }
+                break;
+            default:
+                eventStatus = "skipped";
+                eventNote = "Unhandled event";
+                break;
+        }
+    } catch (err) {
+        eventRecord.set("status", "failed");
+        eventRecord.set("error", err.message || String(err));
+        eventRecord.set("processed_at", new Date().toISOString());
+        $app.save(eventRecord);
+        throw err;
     }
+
+    eventRecord.set("status", eventStatus);
+    eventRecord.set("error", eventNote);
+    eventRecord.set("processed_at", new Date().toISOString());
+    $app.save(eventRecord);
+
     return e.json(200, { "message": "Data received successfully" });
 })
 
 routerAdd("POST", "/create-checkout-session", async (e) => {
-    const apiKey = "your_api_key_here";
+    const config = require(`${__hooks}/lemonsqueezy/config.js`);
+    config.requireConfigured();
     const info = e.requestInfo();
     const token = info.headers["authorization"] || '';
     let userRecord;
@@ -114,462 +328,256 @@ routerAdd("POST", "/create-checkout-session", async (e) => {
         return e.json(400, { "message": "User not authorized" });
     }
 
-    const existingCustomer = $app.findRecordsByFilter(
-        "customer",
-        `user_id = "${userRecord.id}"`
-    );
-
-    let lemonsqueezyCustomerId;
-
-    if (existingCustomer.length > 0) {
-        lemonsqueezyCustomerId = existingCustomer[0].getString("lemonsqueezy_customer_id");
-    } else {
-        const customerResponse = await $http.send({
-            url: "https://api.lemonsqueezy.com/v1/customers",
-            method: "POST",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                "data": {
-                    "type": "customers",
-                    "attributes": {
-                        "name": userRecord.getString("displayName"),
-                        "email": userRecord.getString("email"),
-                        
-                    },
-                    "relationships": {
-                        "store": {
-                          "data": {
-                            "type": "stores",
-                            "id": "116661"
-                          }
-                        }
-                      }
-                }
-            })
-        });
-        
-        const customerData = customerResponse.json;
-        lemonsqueezyCustomerId = customerData.data.id;
-
-        const collection = $app.findCollectionByNameOrId("customer");
-        const newCustomerRecord = new Record(collection);
-        newCustomerRecord.load({
-            "lemonsqueezy_customer_id": lemonsqueezyCustomerId,
-            "user_id": userRecord.id
-        });
-        $app.save(newCustomerRecord);
+    // Validate the options before a LemonSqueezy customer is created for the user.
+    let requestBody;
+    try {
+        requestBody = require(`${__hooks}/lemonsqueezy/checkout.js`).build(userRecord, info.body, config.load().storeId);
+    } catch (error) {
+        return e.json(400, { "message": error.message || "Invalid checkout options.", "data": error.data || {} });
     }
 
-    const requestBody = {
-        "data": {
-            "type": "checkouts",
-            "attributes": {
-                "checkout_options": {
-                    "button_color": "#7047EB"
-                },
-                "checkout_data": {
-                    "name": userRecord.getString("displayName"),
-                    "email": userRecord.getString("email"),
-                    "custom": {
-                        "user_id": userRecord.id,
-                    }
-                },
-                "preview": true
-            },
-            "relationships": {
-                "variant": {
-                    "data": {
-                        "type": "variants",
-                        "id": info.body.variant_id,
-                    }
-                },
-                "store": {
-                    "data": {
-                      "type": "stores",
-                      "id": "116661"
-                    }
-                  }
-            }
-        }
-    };
+    // The checkout and the customer belong to the store of the variant, in the variant's mode.
+    const variants = $app.findRecordsByFilter("variant", "variant_id = {:id}", "", 1, 0, { "id": requestBody.data.relationships.variant.data.id });
+    const store = config.findStore(
+        requestBody.data.relationships.store.data.id,
+        variants.length > 0 ? variants[0].getBool("test_mode") : false
+    );
+    const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient({ "apiKey": store.apiKey });
 
     try {
-        const response = await $http.send({
-            url: "https://api.lemonsqueezy.com/v1/checkouts",
-            method: "POST",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        });
+        require(`${__hooks}/lemonsqueezy/customers.js`).ensureCustomer(userRecord, store);
+    } catch (error) {
+        $app.logger().error("Error setting up customer:", error);
+        return e.json(400, { "message": "Failed to set up customer" });
+    }
 
-        const responseData = response.json;
-        return e.json(response.status, responseData);
+    try {
+        const responseData = client.post("/v1/checkouts", requestBody);
+        return e.json(200, responseData);
     } catch (error) {
         $app.logger().error("Error creating checkout:", error);
-        return e.json(400, { "message": "Failed to create checkout" });
+        // LemonSqueezy explains rejected options, e.g. an unknown discount code.
+        return e.json(400, { "message": "Failed to create checkout", "errors": error.errors || [] });
     }
 })
 
 routerAdd("GET", "/create-portal-link", async (e) => {
-    const apiKey = "your_api_key_here"; // Provided API key
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
     const info = e.requestInfo();
     const token = info.headers["authorization"] || '';
     let userRecord;
     try {
         userRecord = await $app.findAuthRecordByToken(token, $app.settings().recordAuthToken.secret);
-        const customerRecord = await $app.findFirstRecordByFilter(
-            "customer",
-            `user_id = "${userRecord.id}"`
-        );
 
-        if (!customerRecord) {
+        // Team plans are managed in the portal of the customer that bought them.
+        const organisationId = info.query["organisation_id"];
+        let owner;
+        if (organisationId) {
+            const organisations = require(`${__hooks}/lemonsqueezy/organisations.js`);
+            const organisation = organisations.find(organisationId);
+            if (!organisation || !organisations.isAdmin(organisation, userRecord.id)) {
+                return e.json(403, { "message": "Only organisation admins can open the customer portal" });
+            }
+            const subscriptions = $app.findRecordsByFilter("subscription", "organisation_id = {:organisation}", "-created", 1, 0, { "organisation": organisationId });
+            owner = subscriptions.length > 0 ? subscriptions[0] : null;
+        } else {
+            owner = await $app.findFirstRecordByFilter(
+                "customer",
+                `user_id = "${userRecord.id}"`
+            );
+        }
+
+        const lemonsqueezyCustomerId = owner ? owner.getString("lemonsqueezy_customer_id") : "";
+        if (!lemonsqueezyCustomerId) {
             return e.json(404, { "message": "Customer not found" });
         }
-        
-        const response = await $http.send({
-            url: `https://api.lemonsqueezy.com/v1/customers/${customerRecord.get('lemonsqueezy_customer_id')}`,
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            }
-        });
 
-        const responseData = response.json;
+        // The customer is read with the key of the store it belongs to.
+        const client = require(`${__hooks}/lemonsqueezy/client.js`).createClient({
+            "storeId": owner.getString("store_id"),
+            "testMode": owner.getBool("test_mode")
+        });
+        const responseData = client.get(`/v1/customers/${lemonsqueezyCustomerId}`);
         const customerPortalLink = responseData.data.attributes.urls.customer_portal;
 
-        return e.json(response.status, { "customer_portal_link": customerPortalLink });
+        return e.json(200, { "customer_portal_link": customerPortalLink });
     } catch (error) {
         $app.logger().error("Error retrieving customer portal link:", error);
         return e.json(400, { "message": "Failed to retrieve customer portal link" });
     }
 })
 
-// Sync LemonSqueezy data every 30 minutes
-// cronAdd("*/30 * * * *", () => {
-//     const apiKey = "your_api_key_here";
-
-//     try {
-//         const subscriptionsRes = $http.send({
-//             url: "https://api.lemonsqueezy.com/v1/subscriptions",
-//             method: "GET",
-//             headers: {
-//                 "Accept": "application/vnd.api+json",
-//                 "Content-Type": "application/vnd.api+json",
-//                 "Authorization": `Bearer ${apiKey}`
-//             },
-//             timeout: 120
-//         });
-
-//         const subscriptionsData = subscriptionsRes.json;
-
-//         subscriptionsData.data.forEach(subscription => {
-//             try {
-//                 const existingSubscriptions = $app.findRecordsByFilter(
-//                     "subscription",
-//                     `subscription_id = "${subscription.id}"`
-//                 );
-
-//                 const subscriptionData = {
-//                     "subscription_id": subscription.id,
-//                     "lemonsqueezy_customer_id": subscription.attributes?.customer_id || "",
-//                     "status": subscription.attributes?.status || "",
-//                     "variant_id": subscription.attributes?.variant_id || "",
-//                     "quantity": subscription.attributes?.first_subscription_item?.quantity || 0,
-//                     "metadata": JSON.stringify({}),
-//                     "cancel_at_period_end": subscription.attributes?.cancelled || false,
-//                     "current_period_start": subscription.attributes?.created_at || "",
-//                     "current_period_end": subscription.attributes?.renews_at || "",
-//                     "ended_at": subscription.attributes?.ends_at || "",
-//                     "cancel_at": "",
-//                     "canceled_at": "",
-//                     "trial_start": "",
-//                     "trial_end": subscription.attributes?.trial_ends_at || ""
-//                 };
-
-//                 if (existingSubscriptions.length > 0) {
-//                     const record = existingSubscriptions[0];
-//                     record.load(subscriptionData);
-//                     $app.save(record);
-//                 } else {
-//                     const collection = $app.findCollectionByNameOrId("subscription");
-//                     const record = new Record(collection);
-//                     record.load(subscriptionData);
-//                     $app.save(record);
-//                 }
-//             } catch (err) {
-//                 $app.logger().error("Error processing subscription:", err);
-//                 throw new BadRequestError("Failed to process subscription: " + err.message);
-//             }
-//         });
-
-//         const variantsRes = $http.send({
-//             url: "https://api.lemonsqueezy.com/v1/variants",
-//             method: "GET",
-//             headers: {
-//                 "Accept": "application/vnd.api+json",
-//                 "Content-Type": "application/vnd.api+json",
-//                 "Authorization": `Bearer ${apiKey}`
-//             },
-//             timeout: 120
-//         });
-
-//         const variantsData = variantsRes.json;
-
-//         variantsData.data.forEach(variant => {
-//             try {
-//                 const existingVariants = $app.findRecordsByFilter(
-//                     "variant",
-//                     `variant_id = "${variant.id}"`
-//                 );
-
-//                 const variantData = {
-//                     "variant_id": variant.id,
-//                     "product_id": variant.attributes.product_id,
-//                     "active": variant.attributes.status === "published",
-//                     "description": variant.attributes.description,
-//                     "currency": "USD", // Assuming USD, adjust as needed
-//                     "unit_amount": variant.attributes.price,
-//                     "type": variant.attributes.is_subscription ? "subscription" : "one-time",
-//                     "interval": variant.attributes.interval,
-//                     "interval_count": variant.attributes.interval_count,
-//                     "trial_period_days": variant.attributes.has_free_trial ? variant.attributes.trial_interval_count : 0,
-//                     "metadata": JSON.stringify({})
-//                 };
-
-//                 if (existingVariants.length > 0) {
-//                     const record = existingVariants[0];
-//                     record.load(variantData);
-//                     $app.save(record);
-//                 } else {
-//                     const collection = $app.findCollectionByNameOrId("variant");
-//                     const record = new Record(collection);
-//                     record.load(variantData);
-//                     $app.save(record);
-//                 }
-//             } catch (err) {
-//                 $app.logger().error("Error processing variant:", err);
-//                 throw new BadRequestError("Failed to process variant: " + err.message);
-//             }
-//         });
-
-//         const productsRes = $http.send({
-//             url: "https://api.lemonsqueezy.com/v1/products",
-//             method: "GET",
-//             headers: {
-//                 "Accept": "application/vnd.api+json",
-//                 "Content-Type": "application/vnd.api+json",
-//                 "Authorization": `Bearer ${apiKey}`
-//             },
-//             timeout: 120
-//         });
-
-//         const productsData = productsRes.json;
-
-//         productsData.data.forEach(product => {
-//             try {
-//                 const existingProducts = $app.findRecordsByFilter(
-//                     "product",
-//                     `product_id = "${product.id}"`
-//                 );
-
-//                 const productData = {
-//                     "product_id": product.id,
-//                     "active": product.attributes.status === "published",
-//                     "name": product.attributes.name,
-//                     "description": product.attributes.description,
-//                     "image": product.attributes.thumb_url,
-//                     "metadata": JSON.stringify({})
-//                 };
-
-//                 if (existingProducts.length > 0) {
-//                     const record = existingProducts[0];
-//                     record.load(productData);
-//                     $app.save(record);
-//                 } else {
-//                     const collection = $app.findCollectionByNameOrId("product");
-//                     const record = new Record(collection);
-//                     record.load(productData);
-//                     $app.save(record);
-//                 }
-//             } catch (err) {
-//                 $app.logger().error("Error processing product:", err);
-//                 throw new BadRequestError("Failed to process product: " + err.message);
-//             }
-//         });
-
-//         $app.logger().info("Ran sync", "lemonsqueezy", "success");
-//         return e.json(200, { "message": "success" });
-//     } catch (error) {
-//         $app.logger().error("Error during synchronization:", error);
-//         return e.json(400, { "message": error });
-//     }
-// });
-
-routerAdd("GET","/manual-lemonsqueezy-synchronization", async (e) => {
-    const apiKey = "your_api_key_here";
-
-    try {
-        const subscriptionsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/subscriptions",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
-
-        const subscriptionsData = subscriptionsRes.json;
-
-        subscriptionsData.data.forEach(subscription => {
-            try {
-                const existingSubscriptions = $app.findRecordsByFilter(
-                    "subscription",
-                    `subscription_id = "${subscription.id}"`
-                );
-
-                const subscriptionData = {
-                    "subscription_id": subscription.id,
-                    "lemonsqueezy_customer_id": subscription.attributes?.customer_id || "",
-                    "status": subscription.attributes?.status || "",
-                    "variant_id": subscription.attributes?.variant_id || "",
-                    "quantity": subscription.attributes?.first_subscription_item?.quantity || 0,
-                    "metadata": JSON.stringify({}),
-                    "cancel_at_period_end": subscription.attributes?.cancelled || false,
-                    "current_period_start": subscription.attributes?.created_at || "",
-                    "current_period_end": subscription.attributes?.renews_at || "",
-                    "ended_at": subscription.attributes?.ends_at || "",
-                    "cancel_at": "",
-                    "canceled_at": "",
-                    "trial_start": "",
-                    "trial_end": subscription.attributes?.trial_ends_at || ""
-                };
-
-                if (existingSubscriptions.length > 0) {
-                    const record = existingSubscriptions[0];
-                    record.load(subscriptionData);
-                    $app.save(record);
-                } else {
-                    const collection = $app.findCollectionByNameOrId("subscription");
-                    const record = new Record(collection);
-                    record.load(subscriptionData);
-                    $app.save(record);
-                }
-            } catch (err) {
-                $app.logger().error("Error processing subscription:", err);
-                throw new BadRequestError("Failed to process subscription: " + err.message);
-            }
-        });
-
-        const variantsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/variants",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
-
-        const variantsData = variantsRes.json;
-
-        variantsData.data.forEach(variant => {
-            try {
-                const existingVariants = $app.findRecordsByFilter(
-                    "variant",
-                    `variant_id = "${variant.id}"`
-                );
-
-                const variantData = {
-                    "variant_id": variant.id,
-                    "product_id": variant.attributes.product_id,
-                    "active": variant.attributes.status === "published",
-                    "description": variant.attributes.description,
-                    "currency": "USD", // Assuming USD, adjust as needed
-                    "unit_amount": variant.attributes.price,
-                    "type": variant.attributes.is_subscription ? "subscription" : "one-time",
-                    "interval": variant.attributes.interval,
-                    "interval_count": variant.attributes.interval_count,
-                    "trial_period_days": variant.attributes.has_free_trial ? variant.attributes.trial_interval_count : 0,
-                    "metadata": JSON.stringify({})
-                };
-
-                if (existingVariants.length > 0) {
-                    const record = existingVariants[0];
-                    record.load(variantData);
-                    $app.save(record);
-                } else {
-                    const collection = $app.findCollectionByNameOrId("variant");
-                    const record = new Record(collection);
-                    record.load(variantData);
-                    $app.save(record);
-                }
-            } catch (err) {
-                $app.logger().error("Error processing variant:", err);
-                throw new BadRequestError("Failed to process variant: " + err.message);
-            }
-        });
+// Returns the published products with their variants grouped by billing interval.
+routerAdd("GET", "/billing/pricing", (e) => {
+    e.response.header().set("Cache-Control", "public, max-age=300");
+    return e.json(200, require(`${__hooks}/lemonsqueezy/pricing.js`).load());
+})
 
-        const productsRes = $http.send({
-            url: "https://api.lemonsqueezy.com/v1/products",
-            method: "GET",
-            headers: {
-                "Accept": "application/vnd.api+json",
-                "Content-Type": "application/vnd.api+json",
-                "Authorization": `Bearer ${apiKey}`
-            },
-            timeout: 120
-        });
+// License API proxy: activations go through LemonSqueezy, validations fall back to the
+// locally cached state during short outages.
+routerAdd("POST", "/license/activate", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    return e.json(200, require(`${__hooks}/lemonsqueezy/licenses.js`).activate(e.auth, e.requestInfo().body));
+}, $apis.requireAuth())
+
+routerAdd("POST", "/license/validate", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    return e.json(200, require(`${__hooks}/lemonsqueezy/licenses.js`).validate(e.auth, e.requestInfo().body));
+}, $apis.requireAuth())
+
+routerAdd("POST", "/license/deactivate", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    return e.json(200, require(`${__hooks}/lemonsqueezy/licenses.js`).deactivate(e.auth, e.requestInfo().body));
+}, $apis.requireAuth())
+
+// Subscription management for the authenticated user. Each route changes the subscription in
+// LemonSqueezy, stores the returned state right away and responds with the subscription record.
+routerAdd("POST", "/billing/subscriptions/{id}/plan", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.changePlan(e.auth.id, e.request.pathValue("id"), e.requestInfo().body));
+}, $apis.requireAuth("user"))
+
+routerAdd("POST", "/billing/subscriptions/{id}/quantity", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.changeQuantity(e.auth.id, e.request.pathValue("id"), e.requestInfo().body));
+}, $apis.requireAuth("user"))
+
+routerAdd("POST", "/billing/subscriptions/{id}/cancel", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.cancel(e.auth.id, e.request.pathValue("id")));
+}, $apis.requireAuth("user"))
+
+routerAdd("POST", "/billing/subscriptions/{id}/resume", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.resume(e.auth.id, e.request.pathValue("id")));
+}, $apis.requireAuth("user"))
+
+routerAdd("POST", "/billing/subscriptions/{id}/pause", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.pause(e.auth.id, e.request.pathValue("id"), e.requestInfo().body));
+}, $apis.requireAuth("user"))
+
+routerAdd("POST", "/billing/subscriptions/{id}/unpause", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const subscriptions = require(`${__hooks}/lemonsqueezy/subscriptions.js`);
+    return e.json(200, subscriptions.unpause(e.auth.id, e.request.pathValue("id")));
+}, $apis.requireAuth("user"))
+
+// Returns the plans, feature flags, seats and expiry the authenticated user has access to right now.
+routerAdd("GET", "/billing/entitlements", (e) => {
+    const entitlements = require(`${__hooks}/lemonsqueezy/entitlements.js`).forUser(e.auth.id);
+    return e.json(200, entitlements);
+}, $apis.requireAuth("user"))
+
+// Checks a discount code and previews the discounted price of a variant before the checkout.
+// Limited to 20 checks per user every 10 minutes, so codes can't be guessed.
+routerAdd("POST", "/billing/discounts/validate", (e) => {
+    return e.json(200, require(`${__hooks}/lemonsqueezy/discounts.js`).validate(e.requestInfo().body));
+}, $apis.requireAuth("user"), (e) => {
+    const result = require(`${__hooks}/lemonsqueezy/throttle.js`).hit(`discount:${e.auth.id}`, 20, 10 * 60);
+    if (!result.allowed) {
+        e.response.header().set("Retry-After", String(result.retryAfter));
+        throw new TooManyRequestsError(`Too many discount checks, try again in ${result.retryAfter} seconds.`);
+    }
+    return e.next();
+})
 
-        const productsData = productsRes.json;
-
-        productsData.data.forEach(product => {
-            try {
-                const existingProducts = $app.findRecordsByFilter(
-                    "product",
-                    `product_id = "${product.id}"`
-                );
-
-                const productData = {
-                    "product_id": product.id,
-                    "active": product.attributes.status === "published",
-                    "name": product.attributes.name,
-                    "description": product.attributes.description,
-                    "image": product.attributes.thumb_url,
-                    "metadata": JSON.stringify({})
-                };
-
-                if (existingProducts.length > 0) {
-                    const record = existingProducts[0];
-                    record.load(productData);
-                    $app.save(record);
-                } else {
-                    const collection = $app.findCollectionByNameOrId("product");
-                    const record = new Record(collection);
-                    record.load(productData);
-                    $app.save(record);
-                }
-            } catch (err) {
-                $app.logger().error("Error processing product:", err);
-                throw new BadRequestError("Failed to process product: " + err.message);
-            }
-        });
+// Returns a page of the authenticated user's subscription invoices and orders, newest first
+// (?page=1&perPage=20).
+routerAdd("GET", "/billing/invoices", (e) => {
+    return e.json(200, require(`${__hooks}/lemonsqueezy/invoices.js`).list(e.auth.id, e.requestInfo().query));
+}, $apis.requireAuth("user"))
+
+// Sync LemonSqueezy data on the configured schedule (every 30 minutes by default). The schedule
+// is read at startup; runs do nothing unless LEMONSQUEEZY_SYNC_ENABLED (or sync_enabled) is set.
+cronAdd("lemonsqueezy_sync", require(`${__hooks}/lemonsqueezy/config.js`).load().syncSchedule, () => {
+    const config = require(`${__hooks}/lemonsqueezy/config.js`);
+    if (!config.load().syncEnabled || !config.isConfigured("the scheduled LemonSqueezy sync")) {
+        return;
+    }
+    require(`${__hooks}/lemonsqueezy/sync.js`).run({ "trigger": "cron" });
+});
+
+// Email the users whose trial ends within LEMONSQUEEZY_TRIAL_REMINDER_DAYS and send the failed
+// billing emails again, every day at 09:00. Both do nothing unless LEMONSQUEEZY_NOTIFICATIONS_ENABLED
+// (or notifications_enabled) is set.
+cronAdd("lemonsqueezy_trial_reminders", "0 9 * * *", () => {
+    const notifications = require(`${__hooks}/lemonsqueezy/notifications.js`);
+    notifications.retryFailed();
+    notifications.sendTrialReminders();
+});
+
+// End the grace periods of past_due subscriptions every hour, so the entitlements are removed
+// without waiting for the next webhook. Cancelled subscriptions that ended since the previous run
+// (with an hour of overlap) refresh their users for the same reason.
+cronAdd("lemonsqueezy_dunning", "0 * * * *", () => {
+    require(`${__hooks}/lemonsqueezy/dunning.js`).checkGracePeriods();
+    require(`${__hooks}/lemonsqueezy/entitlements.js`).refreshEndedSubscriptions(2);
+});
+
+// Post the queued billing events to the outbound webhook URLs, every minute.
+// Runs do nothing unless LEMONSQUEEZY_OUTBOUND_WEBHOOK_URLS (or outbound_webhook_urls) is set,
+// and log an error while the secret to sign them is missing.
+cronAdd("lemonsqueezy_outbound", "* * * * *", () => {
+    const outbound = require(`${__hooks}/lemonsqueezy/outbound.js`);
+    if (!outbound.isEnabled()) {
+        return;
+    }
+    outbound.deliver();
+});
+
+// Report the usage_event records of metered plans to LemonSqueezy (every 15 minutes by default,
+// the schedule is read at startup).
+cronAdd("lemonsqueezy_usage", require(`${__hooks}/lemonsqueezy/config.js`).load().usageSchedule, () => {
+    if (!require(`${__hooks}/lemonsqueezy/config.js`).isConfigured("the usage reporting")) {
+        return;
+    }
+    require(`${__hooks}/lemonsqueezy/usage.js`).report();
+});
+
+// Returns the current period's usage of the authenticated user's metered subscriptions.
+routerAdd("GET", "/billing/usage", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    return e.json(200, require(`${__hooks}/lemonsqueezy/usage.js`).forUser(e.auth.id));
+}, $apis.requireAuth("user"))
+
+// Only superusers and users with role "Admin" may start a synchronization, and every IP address
+// is limited to 5 runs per 15 minutes so the route can't be used to exhaust the API quota.
+routerAdd("POST", "/manual-lemonsqueezy-synchronization", (e) => {
+    require(`${__hooks}/lemonsqueezy/config.js`).requireConfigured();
+    const query = e.requestInfo().query;
+    const run = require(`${__hooks}/lemonsqueezy/sync.js`).run({
+        "trigger": "manual",
+        "full": query["full"] === "true",
+        "dryRun": query["dry_run"] === "true"
+    });
+
+    if (run.dry_run) {
+        return e.json(200, run);
+    }
 
-        $app.logger().info("Ran sync", "lemonsqueezy", "success");
-        return e.json(200, { "message": "success" });
-    } catch (error) {
-        $app.logger().error("Error during synchronization:", error);
-        return e.json(400, { "message": error });
+    if (run.status === "skipped") {
+        return e.json(409, { "message": "A synchronization is already running", "run": run });
+    }
+    if (run.status === "failed") {
+        return e.json(400, { "message": "Synchronization failed", "run": run });
+    }
+    return e.json(200, { "message": "success", "run": run });
+}, $apis.requireAuth("_superusers", "user"), (e) => {
+    if (!e.hasSuperuserAuth() && e.auth.getString("role") !== "Admin") {
+        throw new ForbiddenError("Only admins can run the LemonSqueezy synchronization.");
     }
-})
\ No newline at end of file
+    return e.next();
+}, (e) => {
+    const result = require(`${__hooks}/lemonsqueezy/throttle.js`).hit(`sync:${e.realIP()}`, 5, 15 * 60);
+    if (!result.allowed) {
+        e.response.header().set("Retry-After", String(result.retryAfter));
+        throw new TooManyRequestsError(`Too many synchronization requests, try again in ${result.retryAfter} seconds.`);
+    }
+    return e.next();
+})